@@ -4,8 +4,436 @@
  * @constructor
  * @this {JeoFire}
  * @param {Firebase} firebaseRef A Firebase reference where the JeoFire data will be stored.
+ * @param {Object=} options An optional object containing the precision, the length of the jeohashes stored
+ * for each location, between 1 and 22. Defaults to 10. Every JeoFire instance reading the same data must
+ * use the same precision. It can also contain the history options, a { ref, maxEntries } object which makes
+ * set() append each location to the key's trail under ref, a Firebase reference in the same database, keeping
+ * at most maxEntries entries per key. Trails are pruned once they grow by a tenth of maxEntries, so they can
+ * briefly hold that many more entries. Finally, it can contain the write buffer options, a { flushIntervalMs } object
+ * which makes set() and remove() coalesce their writes and flush them every flushIntervalMs milliseconds
+ * (defaults to 0, which flushes once the current task is done), and the batch options, a
+ * { chunkSize, concurrency, onProgress } object configuring how set() writes a mapping of locations.
  */
-var JeoFire = function(firebaseRef) {
+var JeoFire = function(firebaseRef, options) {
+  /*********************/
+  /*  PRIVATE METHODS  */
+  /*********************/
+  /**
+   * Reads every location within the provided jeohash queries once.
+   *
+   * @param {Array.<Array.<string>>} queries The jeohash queries to read, as [start, end] pairs.
+   * @param {Object} locations A dictionary of the locations read so far, keyed by their key. Locations within
+   * overlapping queries are only added once.
+   * @return {Promise.<Object>} A promise that is fulfilled with the locations dictionary once every query is read.
+   */
+  function _readJeohashQueries(queries, locations) {
+    var reads = queries.map(function(query) {
+      return _firebaseRef.orderByChild("g").startAt(query[0]).endAt(query[1]).once("value");
+    });
+
+    return g_Promise.all(reads).then(function(dataSnapshots) {
+      dataSnapshots.forEach(function(dataSnapshot) {
+        dataSnapshot.forEach(function(childSnapshot) {
+          var record = decodeJeoFireObject(childSnapshot.val());
+
+          var key = getKey(childSnapshot);
+          locations[key] = {
+            key: key,
+            location: record.location,
+            uid: record.uid,
+            complete: record.complete,
+            data: record.data,
+            timestamp: record.timestamp
+          };
+        });
+      });
+      return locations;
+    });
+  }
+
+  /**
+   * Reads the location record of the provided key once.
+   *
+   * @param {string} key The key of the location to read.
+   * @return {Promise.<?Object>} A promise that is fulfilled with the decoded location record, or null if the key
+   * does not exist.
+   */
+  function _readRecord(key) {
+    return _firebaseRef.child(key).once("value").then(function(dataSnapshot) {
+      var snapshotVal = dataSnapshot.val();
+      if (snapshotVal === null) {
+        return null;
+      } else {
+        return decodeJeoFireObject(snapshotVal);
+      }
+    });
+  }
+
+  /**
+   * Converts the metadata arguments of set() to a metadata object. The metadata is either given as an object
+   * containing the data, uid and/or complete flag, or as the legacy complete and uid arguments.
+   *
+   * @param {boolean|Object|undefined} completeOrMetadata The metadata object or the complete flag.
+   * @param {string|undefined} uid The uid if the complete flag is given as its own argument.
+   * @return {Object} The validated metadata object.
+   */
+  function _metadataFromArguments(completeOrMetadata, uid) {
+    var metadata;
+    if (typeof completeOrMetadata === "object" && completeOrMetadata !== null && !Array.isArray(completeOrMetadata)) {
+      if (typeof uid !== "undefined") {
+        throw new Error("The uid argument should not be used if you pass a metadata object to set().");
+      }
+      metadata = completeOrMetadata;
+    } else {
+      metadata = {};
+      if (typeof completeOrMetadata !== "undefined") {
+        metadata.complete = completeOrMetadata;
+      }
+      if (typeof uid !== "undefined") {
+        metadata.uid = uid;
+      }
+    }
+    validateLocationMetadata(metadata);
+    return metadata;
+  }
+
+  /**
+   * Splits an entry passed to set() into its location and metadata. An entry is either a [latitude, longitude]
+   * pair, which uses the provided default metadata, or an object containing the location and its own data, uid
+   * and/or complete flag, which override the default metadata.
+   *
+   * @param {Array.<number>|Object} entry The entry to split.
+   * @param {Object} defaultMetadata The metadata passed to set() for every entry.
+   * @return {Object} An object containing the location and its validated metadata.
+   */
+  function _splitEntry(entry, defaultMetadata) {
+    if (Array.isArray(entry) || typeof entry !== "object" || entry === null) {
+      return { location: entry, metadata: defaultMetadata };
+    }
+
+    var metadata = {};
+    Object.keys(entry).forEach(function(attribute) {
+      if (attribute !== "location") {
+        metadata[attribute] = entry[attribute];
+      }
+    });
+    validateLocationMetadata(metadata);
+    ["complete", "uid", "data"].forEach(function(attribute) {
+      if (typeof metadata[attribute] === "undefined" && typeof defaultMetadata[attribute] !== "undefined") {
+        metadata[attribute] = defaultMetadata[attribute];
+      }
+    });
+    return { location: entry.location, metadata: metadata };
+  }
+
+  /**
+   * Encodes an entry passed to set() as a JeoFire object.
+   *
+   * @param {Array.<number>|Object} entry The [latitude, longitude] pair or the object containing the location and
+   * its own metadata.
+   * @param {Object} defaultMetadata The metadata passed to set() for every entry.
+   * @return {Object} The entry encoded as JeoFire object.
+   */
+  function _encodeEntry(entry, defaultMetadata) {
+    var split = _splitEntry(entry, defaultMetadata);
+    validateLocation(split.location);
+
+    var jeohash = encodeJeohash(split.location, _precision);
+    var metadata = split.metadata;
+    return encodeJeoFireObject(split.location, jeohash, metadata.complete, metadata.uid, metadata.data);
+  }
+
+  /**
+   * Joins the path of a reference from its root with the provided child path.
+   *
+   * @param {string} path The path of the reference from its root, which is empty for the root itself.
+   * @param {string} childPath The path of the child.
+   * @return {string} The path of the child from the root.
+   */
+  function _joinPath(path, childPath) {
+    return (path === "") ? childPath : path + "/" + childPath;
+  }
+
+  /**
+   * Writes the provided encoded locations and appends each added location to the trail of its key, within a
+   * single multi-location update of the database root.
+   *
+   * @param {Object} newData The encoded locations to write, keyed by their key. Keys mapped to null are removed
+   * and do not get a trail entry.
+   * @return {Promise.<Array.<Error>>} A promise that is fulfilled with the errors of pruning the trails, if any,
+   * once the write and the pruning are complete, or rejected if the write fails.
+   */
+  function _updateWithHistory(newData) {
+    var locations = getPathFromRoot(_firebaseRef);
+    var history = getPathFromRoot(_historyRef);
+    var rootData = {};
+    var addedKeys = [];
+
+    Object.keys(newData).forEach(function(key) {
+      rootData[_joinPath(locations.path, key)] = newData[key];
+      if (newData[key] !== null) {
+        var entryKey = getKey(_historyRef.child(key).push());
+        rootData[_joinPath(history.path, key + "/" + entryKey)] = { l: newData[key].l, t: newData[key].t };
+        addedKeys.push(key);
+      }
+    });
+
+    return locations.root.update(rootData).then(function() {
+      // The locations are written by now, so failing to prune their trails does not fail the write
+      return _pruneHistory(addedKeys).then(function() {
+        return [];
+      }, function(error) {
+        return [error];
+      });
+    });
+  }
+
+  /**
+   * Writes the provided encoded locations, along with their trail entries if the history option is enabled.
+   *
+   * @param {Object} newData The encoded locations to write, keyed by their key. Keys mapped to null are removed.
+   * @return {Promise.<?Array.<Error>>} A promise that is fulfilled when the write is complete, with the errors of
+   * pruning the trails if the history option is enabled.
+   */
+  function _writeData(newData) {
+    if (_historyRef !== null) {
+      return _updateWithHistory(newData);
+    }
+    return _firebaseRef.update(newData);
+  }
+
+  /**
+   * Writes the provided encoded locations in chunks of at most _batchChunkSize locations, running at most
+   * _batchConcurrency updates at a time. A failed chunk does not stop the other chunks from being written; its keys
+   * are reported in the result instead. The provided onProgress callback is called after each chunk.
+   *
+   * @param {Object} newData The encoded locations to write, keyed by their key. Keys mapped to null are removed.
+   * @param {?function} onProgress The callback passed the { written, failed, total } progress, or null.
+   * @param {Object=} errorsByKey An optional object in which the error of each failed key is stored.
+   * @return {Promise.<Object>} A promise that is fulfilled with the { written, failedKeys, errors } result once every
+   * chunk is written or has failed. If the history option is enabled, the result also contains the historyErrors
+   * of pruning the trails.
+   */
+  function _writeChunks(newData, onProgress, errorsByKey) {
+    var keys = Object.keys(newData);
+    var chunks = [];
+    for (var i = 0; i < keys.length; i += _batchChunkSize) {
+      chunks.push(keys.slice(i, i + _batchChunkSize));
+    }
+
+    var result = {
+      written: 0,
+      failedKeys: [],
+      errors: []
+    };
+    if (_historyRef !== null) {
+      result.historyErrors = [];
+    }
+    var nextChunk = 0;
+
+    function writeNextChunk() {
+      if (nextChunk >= chunks.length) {
+        return g_Promise.resolve();
+      }
+
+      var chunkKeys = chunks[nextChunk++];
+      var chunkData = {};
+      chunkKeys.forEach(function(key) {
+        chunkData[key] = newData[key];
+      });
+
+      return _writeData(chunkData).then(function(historyErrors) {
+        result.written += chunkKeys.length;
+        if (_historyRef !== null) {
+          result.historyErrors = result.historyErrors.concat(historyErrors);
+        }
+      }, function(error) {
+        result.failedKeys = result.failedKeys.concat(chunkKeys);
+        result.errors.push(error);
+        if (typeof errorsByKey !== "undefined") {
+          chunkKeys.forEach(function(key) {
+            errorsByKey[key] = error;
+          });
+        }
+      }).then(function() {
+        if (onProgress !== null) {
+          onProgress({
+            written: result.written,
+            failed: result.failedKeys.length,
+            total: keys.length
+          });
+        }
+        return writeNextChunk();
+      });
+    }
+
+    var workers = [];
+    for (var j = 0; j < Math.min(_batchConcurrency, chunks.length); ++j) {
+      workers.push(writeNextChunk());
+    }
+    return g_Promise.all(workers).then(function() {
+      return result;
+    });
+  }
+
+  /**
+   * Adds the provided encoded locations to the write buffer, overriding the buffered writes of the same keys, and
+   * schedules a flush of the buffer if none is scheduled yet.
+   *
+   * @param {Object} newData The encoded locations to buffer, keyed by their key. Keys mapped to null are removed.
+   * @return {Promise.<Object>} A promise that is fulfilled with the { written, failedKeys, errors } result of the
+   * buffered keys when the flush containing them is complete, along with the historyErrors of the flush if the
+   * history option is enabled.
+   */
+  function _bufferWrites(newData) {
+    if (_bufferedFlush === null) {
+      var bufferedFlush = { data: {} };
+      bufferedFlush.promise = new g_Promise(function(resolve) {
+        bufferedFlush.resolve = resolve;
+      });
+      bufferedFlush.timeout = setTimeout(_flushBuffer, _flushIntervalMs);
+      _bufferedFlush = bufferedFlush;
+    }
+
+    var keys = Object.keys(newData);
+    keys.forEach(function(key) {
+      _bufferedFlush.data[key] = newData[key];
+    });
+
+    // The flush is fulfilled with the errors of all its failed keys, so only report those of the keys buffered here
+    return _bufferedFlush.promise.then(function(flushResult) {
+      var result = {
+        written: 0,
+        failedKeys: [],
+        errors: []
+      };
+      keys.forEach(function(key) {
+        if (flushResult.errorsByKey.hasOwnProperty(key)) {
+          result.failedKeys.push(key);
+          if (result.errors.indexOf(flushResult.errorsByKey[key]) === -1) {
+            result.errors.push(flushResult.errorsByKey[key]);
+          }
+        } else {
+          result.written++;
+        }
+      });
+      if (_historyRef !== null) {
+        result.historyErrors = flushResult.historyErrors;
+      }
+      return result;
+    });
+  }
+
+  /**
+   * Writes the buffered locations in chunks, like a mapping of locations passed to set(), and settles the promises
+   * of their set() and remove() calls.
+   *
+   * @return {Promise.<>} A promise that is fulfilled when the buffered locations, and those of any flush which is
+   * still in flight, are written, or rejected with the error of a chunk which failed.
+   */
+  function _flushBuffer() {
+    if (_bufferedFlush === null) {
+      return (_inFlightFlush !== null) ? _inFlightFlush : g_Promise.resolve();
+    }
+
+    var bufferedFlush = _bufferedFlush;
+    _bufferedFlush = null;
+    clearTimeout(bufferedFlush.timeout);
+
+    var errorsByKey = {};
+    var written = _writeChunks(bufferedFlush.data, _batchOnProgress, errorsByKey).then(function(result) {
+      bufferedFlush.resolve({ errorsByKey: errorsByKey, historyErrors: result.historyErrors });
+      if (result.errors.length > 0) {
+        throw result.errors[0];
+      }
+    });
+
+    var flushes = (_inFlightFlush !== null) ? [_inFlightFlush, written] : [written];
+    var inFlightFlush = g_Promise.all(flushes).then(function() {});
+    var clearInFlightFlush = function() {
+      if (_inFlightFlush === inFlightFlush) {
+        _inFlightFlush = null;
+      }
+    };
+    inFlightFlush.then(clearInFlightFlush, clearInFlightFlush);
+    _inFlightFlush = inFlightFlush;
+    return inFlightFlush;
+  }
+
+  /**
+   * Removes the oldest entries from the trails of the provided keys which were just appended to, so that each trail
+   * keeps at most the maximum number of history entries. A trail is only pruned once this JeoFire appended
+   * _historyPruneInterval entries to it since its last pruning, so it can exceed the maximum by fewer entries than
+   * that. Pruning reads the newest entries up to the maximum to find the cutoff, and then only the entries beyond it.
+   *
+   * @param {Array.<string>} keys The keys whose trails were appended to.
+   * @return {Promise.<>} A promise that is fulfilled when the trails are pruned.
+   */
+  function _pruneHistory(keys) {
+    if (_historyMaxEntries === null) {
+      return g_Promise.resolve();
+    }
+
+    var dueKeys = keys.filter(function(key) {
+      _historyEntriesSincePrune[key] = (_historyEntriesSincePrune[key] || 0) + 1;
+      return _historyEntriesSincePrune[key] >= _historyPruneInterval;
+    });
+    dueKeys.forEach(function(key) {
+      delete _historyEntriesSincePrune[key];
+    });
+
+    var reads = dueKeys.map(function(key) {
+      var trail = _historyRef.child(key).orderByChild("t");
+      return trail.limitToLast(_historyMaxEntries + 1).once("value").then(function(dataSnapshot) {
+        // The oldest of the newest maxEntries + 1 entries is the newest entry beyond the maximum
+        var cutoff = null;
+        var numEntries = 0;
+        dataSnapshot.forEach(function(childSnapshot) {
+          if (cutoff === null) {
+            cutoff = childSnapshot;
+          }
+          numEntries++;
+        });
+        if (numEntries <= _historyMaxEntries) {
+          return [];
+        }
+
+        return trail.endAt(cutoff.val().t, getKey(cutoff)).once("value").then(function(excessSnapshot) {
+          var entryKeys = [];
+          excessSnapshot.forEach(function(childSnapshot) {
+            entryKeys.push(key + "/" + getKey(childSnapshot));
+          });
+          return entryKeys;
+        });
+      });
+    });
+    return g_Promise.all(reads).then(function(entryKeysPerTrail) {
+      var removedData = {};
+      entryKeysPerTrail.forEach(function(entryKeys) {
+        entryKeys.forEach(function(entryKey) {
+          removedData[entryKey] = null;
+        });
+      });
+
+      if (Object.keys(removedData).length === 0) {
+        return;
+      }
+      return _historyRef.update(removedData);
+    });
+  }
+
+  /**
+   * Sorts the provided locations by their distance.
+   *
+   * @param {Array.<Object>} locations The locations to sort, each containing a distance.
+   * @return {Array.<Object>} The sorted locations.
+   */
+  function _sortByDistance(locations) {
+    return locations.sort(function(a, b) {
+      return a.distance - b.distance;
+    });
+  }
+
   /********************/
   /*  PUBLIC METHODS  */
   /********************/
@@ -21,14 +449,38 @@ var JeoFire = function(firebaseRef) {
   /**
    * Adds the provided key - location pair(s) to Firebase. Returns an empty promise which is fulfilled when the write is complete.
    *
-   * If any provided key already exists in this JeoFire, it will be overwritten with the new location value.
+   * If any provided key already exists in this JeoFire, it will be overwritten with the new location value and metadata.
+   *
+   * The metadata of a location consists of its data payload, which can be any value Firebase can store, its uid,
+   * and whether it is complete. It is given as a { data, uid, complete } object, or as separate complete and uid
+   * arguments. When adding multiple locations, each one is either a [latitude, longitude] pair, which gets the
+   * metadata passed to set(), or a { location, data, uid, complete } object with its own metadata.
+   *
+   * If the history option is enabled, each added location is also appended to the trail of its key, in the same
+   * update as the location itself. Removing a key keeps its trail. Failing to prune the trails does not fail the
+   * write; the errors are reported in the historyErrors array of the result instead, which is a { historyErrors }
+   * object for a single location.
+   *
+   * A mapping of locations is written in chunks of batch.chunkSize locations (defaults to 500), running at most
+   * batch.concurrency updates at a time (defaults to 4), and batch.onProgress is called with a
+   * { written, failed, total } count of keys after each chunk. The returned promise is fulfilled with a
+   * { written, failedKeys, errors } result once every chunk is done, rather than rejected if some chunks fail.
+   *
+   * If the write buffer option is enabled, the write is buffered until the next flush, where a later write of the
+   * same key overrides this one, and the returned promise is settled once that flush is complete. Each flush is
+   * written in chunks like a mapping of locations, so batch.onProgress reports the progress of the whole flush.
    *
    * @param {string|Object} keyOrLocations The key representing the location to add or a mapping of key - location pairs which
    * represent the locations to add.
    * @param {Array.<number>|undefined} location The [latitude, longitude] pair to add.
-   * @return {Promise.<>} A promise that is fulfilled when the write is complete.
+   * @param {Object|boolean=} completeOrMetadata The metadata of the location(s), or whether they are complete.
+   * @param {string=} uid The uid of the location(s) if the complete flag is given as its own argument.
+   * @return {Promise.<?Object>} A promise that is fulfilled when the write is complete, with the result of the
+   * chunks if a mapping of locations was written, or the { historyErrors } of a single location if the history
+   * option is enabled.
    */
-  this.set = function(keyOrLocations, location, complete, uid) {
+  this.set = function(keyOrLocations, location, completeOrMetadata, uid) {
+    var defaultMetadata = _metadataFromArguments(completeOrMetadata, uid);
     var locations;
     if (typeof keyOrLocations === "string" && keyOrLocations.length !== 0) {
       // If this is a set for a single location, convert it into a object
@@ -46,40 +498,194 @@ var JeoFire = function(firebaseRef) {
     var newData = {};
 
     Object.keys(locations).forEach(function(key) {
-      validateKey(key);
+      validateKey(key, _precision);
 
-      var location = locations[key];
-      if (location === null) {
+      if (locations[key] === null) {
         // Setting location to null is valid since it will remove the key
         newData[key] = null;
       } else {
-        validateLocation(location);
+        newData[key] = _encodeEntry(locations[key], defaultMetadata);
+      }
+    });
+
+    if (typeof keyOrLocations === "object") {
+      if (_flushIntervalMs !== null) {
+        return _bufferWrites(newData);
+      }
+      return _writeChunks(newData, _batchOnProgress);
+    }
+    if (_flushIntervalMs !== null) {
+      return _bufferWrites(newData).then(function(result) {
+        if (result.errors.length > 0) {
+          throw result.errors[0];
+        }
+        return (_historyRef !== null) ? { historyErrors: result.historyErrors } : undefined;
+      });
+    }
+    if (_historyRef !== null) {
+      return _writeData(newData).then(function(historyErrors) {
+        return { historyErrors: historyErrors };
+      });
+    }
+    return _writeData(newData);
+  };
+
+  /**
+   * Writes the locations buffered by set() and remove() right away, instead of waiting for the next scheduled
+   * flush. Returns a promise fulfilled when the buffered locations, and those of a flush which is still in flight,
+   * are written, or right away if there are none or the write buffer is not enabled.
+   *
+   * @return {Promise.<>} A promise that is fulfilled when the buffered locations are written.
+   */
+  this.flush = function() {
+    return _flushBuffer();
+  };
+
+  /**
+   * Atomically updates the location of the provided key via a Firebase transaction, so that concurrent writers
+   * cannot overwrite each other's changes. The jeohash of the written location is recomputed from the location
+   * returned by updateFn.
+   *
+   * updateFn is passed the current location record of the key, as returned by get(), or null if the key does not
+   * exist. It returns the new [latitude, longitude] pair or { location, data, uid, complete } object, null to
+   * remove the key, or undefined to abort the transaction. As with any Firebase transaction, updateFn may be
+   * called several times, and first with null before the current value has been loaded, so it must not have
+   * side effects.
+   *
+   * The returned promise is fulfilled with a { committed, record } object, containing whether the transaction
+   * was committed and the location record of the key after the transaction, or null if it does not exist.
+   *
+   * @param {string} key The key of the location to update.
+   * @param {function} updateFn The function computing the new location from the current location record.
+   * @return {Promise.<Object>} A promise that is fulfilled when the transaction is complete.
+   */
+  this.transaction = function(key, updateFn) {
+    validateKey(key, _precision);
+    if (typeof updateFn !== "function") {
+      throw new Error("updateFn must be a function");
+    }
 
-        var jeohash = encodeJeohash(location);
-        newData[key] = encodeJeoFireObject(location, jeohash, complete, uid);
+    return _firebaseRef.child(key).transaction(function(currentValue) {
+      var newEntry = updateFn((currentValue === null) ? null : decodeJeoFireObject(currentValue));
+      if (typeof newEntry === "undefined" || newEntry === null) {
+        // Returning undefined aborts the transaction and returning null removes the key
+        return newEntry;
       }
+      return _encodeEntry(newEntry, {});
+    }).then(function(result) {
+      var snapshotVal = result.snapshot.val();
+      return {
+        committed: result.committed,
+        record: (snapshotVal === null) ? null : decodeJeoFireObject(snapshotVal)
+      };
     });
+  };
 
-    return _firebaseRef.update(newData);
+  /**
+   * Adds the provided key - location pair to Firebase only if the key does not exist yet, via a Firebase
+   * transaction. This can be used to claim a key which several clients race for.
+   *
+   * The returned promise is fulfilled with a { committed, record } object, containing whether the location was
+   * added and the location record of the key, which is the existing one if the location was not added.
+   *
+   * @param {string} key The key representing the location to add.
+   * @param {Array.<number>} location The [latitude, longitude] pair to add.
+   * @param {Object=} metadata The { data, uid, complete } metadata of the location.
+   * @return {Promise.<Object>} A promise that is fulfilled when the transaction is complete.
+   */
+  this.setIfAbsent = function(key, location, metadata) {
+    var entry = { location: location };
+    var validatedMetadata = _metadataFromArguments(metadata);
+    Object.keys(validatedMetadata).forEach(function(attribute) {
+      entry[attribute] = validatedMetadata[attribute];
+    });
+    // Validate the location up front, so that invalid arguments throw instead of rejecting
+    validateLocation(location);
+
+    return this.transaction(key, function(currentRecord) {
+      return (currentRecord === null) ? entry : undefined;
+    });
   };
 
   /**
-   * Returns a promise fulfilled with the location corresponding to the provided key.
+   * Returns a promise fulfilled with the location record corresponding to the provided key.
    *
-   * If the provided key does not exist, the returned promise is fulfilled with null.
+   * The record is a { location, jeohash, uid, complete, data } object, where location is the [latitude, longitude]
+   * pair of the key. A missing uid or data is null and a missing complete flag is false. If the provided key does
+   * not exist, the returned promise is fulfilled with null.
    *
    * @param {string} key The key of the location to retrieve.
-   * @return {Promise.<Array.<number>>} A promise that is fulfilled with the location of the given key.
+   * @return {Promise.<?Object>} A promise that is fulfilled with the location record of the given key.
    */
   this.get = function(key) {
-    validateKey(key);
-    return _firebaseRef.child(key).once("value").then(function(dataSnapshot) {
-      var snapshotVal = dataSnapshot.val();
-      if (snapshotVal === null) {
-        return null;
-      } else {
-        return snapshotVal;
-      }
+    validateKey(key, _precision);
+    return _readRecord(key);
+  };
+
+  /**
+   * Returns a promise fulfilled with the location records corresponding to the provided keys. The keys are read
+   * in parallel.
+   *
+   * The promise is fulfilled with a mapping of each key to its location record, as returned by get(), or to null
+   * if the key does not exist.
+   *
+   * @param {Array.<string>} keys The keys of the locations to retrieve.
+   * @return {Promise.<Object>} A promise that is fulfilled with the location records of the given keys.
+   */
+  this.getMany = function(keys) {
+    if (!Array.isArray(keys)) {
+      throw new Error("keys must be an array");
+    }
+    keys.forEach(function(key) {
+      validateKey(key, _precision);
+    });
+
+    return g_Promise.all(keys.map(_readRecord)).then(function(records) {
+      var recordsByKey = {};
+      keys.forEach(function(key, i) {
+        recordsByKey[key] = records[i];
+      });
+      return recordsByKey;
+    });
+  };
+
+  /**
+   * Returns a promise fulfilled with the trail of the provided key, the locations written for it by set() while
+   * the history option was enabled. Locations written by transaction() or setIfAbsent() are not part of the trail.
+   *
+   * The promise is fulfilled with an array of { location, timestamp } entries in time order, where timestamp is
+   * the server time of the write in milliseconds since the epoch. The options can restrict the trail to the
+   * entries written from and to the given timestamps, inclusively, and limit it to its most recent entries.
+   *
+   * @param {string} key The key whose trail to read.
+   * @param {Object=} options An optional object containing the from and to timestamps and the limit.
+   * @return {Promise.<Array.<Object>>} A promise that is fulfilled with the trail of the given key.
+   */
+  this.history = function(key, options) {
+    validateKey(key, _precision);
+    if (_historyRef === null) {
+      throw new Error("history() requires the history option to be set");
+    }
+    options = validateHistoryQueryOptions(options);
+
+    var query = _historyRef.child(key).orderByChild("t");
+    if (typeof options.from !== "undefined") {
+      query = query.startAt(options.from);
+    }
+    if (typeof options.to !== "undefined") {
+      query = query.endAt(options.to);
+    }
+    if (typeof options.limit !== "undefined") {
+      query = query.limitToLast(options.limit);
+    }
+
+    return query.once("value").then(function(dataSnapshot) {
+      var trail = [];
+      dataSnapshot.forEach(function(childSnapshot) {
+        var entry = childSnapshot.val();
+        trail.push({ location: entry.l, timestamp: entry.t });
+      });
+      return trail;
     });
   };
 
@@ -95,14 +701,246 @@ var JeoFire = function(firebaseRef) {
     return this.set(key, null);
   };
 
+  /**
+   * Removes every location which was last written more than olderThan milliseconds ago, according to this
+   * client's clock. The locations are read and removed in batches, so that sweeping a large JeoFire does not
+   * load all of its expired locations at once. Locations written before timestamps were stored are never removed.
+   *
+   * @param {number} olderThan The age, in milliseconds, above which locations are removed.
+   * @return {Promise.<number>} A promise that is fulfilled with the number of removed locations.
+   */
+  this.removeExpired = function(olderThan) {
+    if (typeof olderThan !== "number" || isNaN(olderThan) || olderThan < 0) {
+      throw new Error("olderThan must be a non-negative number");
+    }
+
+    var cutoff = Date.now() - olderThan;
+    var numRemoved = 0;
+
+    function removeBatch() {
+      // Timestamps are numbers, so starting at 0 skips locations without a timestamp
+      var query = _firebaseRef.orderByChild("t").startAt(0).endAt(cutoff - 1).limitToFirst(g_REMOVE_EXPIRED_BATCH_SIZE);
+      return query.once("value").then(function(dataSnapshot) {
+        var keys = [];
+        dataSnapshot.forEach(function(childSnapshot) {
+          keys.push(getKey(childSnapshot));
+        });
+        if (keys.length === 0) {
+          return numRemoved;
+        }
+
+        var newData = {};
+        keys.forEach(function(key) {
+          newData[key] = null;
+        });
+        return _firebaseRef.update(newData).then(function() {
+          numRemoved += keys.length;
+          return (keys.length < g_REMOVE_EXPIRED_BATCH_SIZE) ? numRemoved : removeBatch();
+        });
+      });
+    }
+
+    return removeBatch();
+  };
+
+  /**
+   * Returns a new JeoTracker instance which writes the location of the provided key, skipping the updates which
+   * moved less than options.minDistanceMeters or came less than options.minIntervalMs after the last write.
+   *
+   * @param {string} key The key of the location to track.
+   * @param {Object=} options An optional object containing the minDistanceMeters and minIntervalMs between writes.
+   * Both default to 0.
+   * @return {JeoTracker} A new JeoTracker object.
+   */
+  this.track = function(key, options) {
+    validateKey(key, _precision);
+    return new JeoTracker(this, key, options);
+  };
+
   /**
    * Returns a new JeoQuery instance with the provided queryCriteria.
    *
-   * @param {Object} queryCriteria The criteria which specifies the JeoQuery's center and radius.
+   * @param {Object} queryCriteria The criteria which specifies the JeoQuery's center and radius, its
+   * [[south, west], [north, east]] bounds, its polygon, its corridor, or its circles, and optionally a filter the
+   * locations must pass and the maxAge, in milliseconds, of the locations.
+   * @param {Object=} options An optional object containing the debounceMs, in milliseconds, the JeoQuery's
+   * criteria updates are debounced for, which defaults to 0, and the clusterPrecision of its clusters, which
+   * defaults to null. The JeoQuery always uses the precision of this JeoFire.
    * @return {JeoQuery} A new JeoQuery object.
    */
-  this.query = function(queryCriteria) {
-    return new JeoQuery(_firebaseRef, queryCriteria);
+  this.query = function(queryCriteria, options) {
+    var queryOptions = {precision: _precision};
+    if (typeof options !== "undefined") {
+      if (typeof options !== "object" || options === null || Array.isArray(options)) {
+        throw new Error("options must be an object");
+      }
+      Object.keys(options).forEach(function(attribute) {
+        if (attribute === "precision") {
+          throw new Error("The precision of a query is set by its JeoFire and cannot be passed to query().");
+        }
+        queryOptions[attribute] = options[attribute];
+      });
+    }
+    return new JeoQuery(_firebaseRef, queryCriteria, queryOptions);
+  };
+
+  /**
+   * Returns a promise fulfilled with every location currently within the area specified by the provided
+   * query criteria. Unlike query(), this reads each jeohash range once and attaches no listeners.
+   *
+   * The promise is fulfilled with an array of { key, location, uid, complete, data, timestamp, distance, details }
+   * entries, sorted by their distance, in kilometers, from the query's center.
+   *
+   * @param {Object} queryCriteria The criteria which specifies the area's center and radius, its
+   * [[south, west], [north, east]] bounds, its polygon, its corridor, or its circles, and optionally a filter the
+   * locations must pass and the maxAge, in milliseconds, of the locations.
+   * @return {Promise.<Array.<Object>>} A promise that is fulfilled with the locations within the area.
+   */
+  this.queryOnce = function(queryCriteria) {
+    validateCriteria(queryCriteria, /* requireCenterAndRadius */ true);
+
+    return _readJeohashQueries(jeohashQueriesForCriteria(queryCriteria, _precision), {}).then(function(locations) {
+      var results = [];
+      Object.keys(locations).forEach(function(key) {
+        var entry = locations[key];
+        var match = matchLocationToCriteria(queryCriteria, entry.location);
+        if (match.isInQuery && !locationHasExpired(entry.timestamp, queryCriteria.maxAge) &&
+            locationPassesFilter(queryCriteria.filter, key, entry.location, entry.uid, entry.complete, entry.data)) {
+          entry.distance = match.distance;
+          entry.details = match.details;
+          results.push(entry);
+        }
+      });
+      return _sortByDistance(results);
+    });
+  };
+
+  /**
+   * Removes every location currently within the area specified by the provided query criteria, as found by
+   * queryOnce(). The locations are removed in chunks, like a batch set(), bypassing the write buffer. The
+   * batch.onProgress callback of this JeoFire is not called for removals; pass options.onProgress instead.
+   *
+   * The promise is fulfilled with the keys of the removed locations, sorted by their distance from the query's
+   * center. Keys whose chunk failed to be removed are left out. If options.dryRun is true, nothing is removed and
+   * the promise is fulfilled with the keys which would have been removed.
+   *
+   * @param {Object} queryCriteria The criteria which specifies the area's center and radius, its
+   * [[south, west], [north, east]] bounds, its polygon, its corridor, or its circles, and optionally a filter the
+   * locations must pass and the maxAge, in milliseconds, of the locations.
+   * @param {Object=} options An optional object containing whether this is a dryRun, and an onProgress callback
+   * passed the { written, failed, total } progress of the removal after each chunk.
+   * @return {Promise.<Array.<string>>} A promise that is fulfilled with the removed keys.
+   */
+  this.removeWithin = function(queryCriteria, options) {
+    options = validateRemoveWithinOptions(options);
+
+    return this.queryOnce(queryCriteria).then(function(results) {
+      var keys = results.map(function(result) {
+        return result.key;
+      });
+      if (options.dryRun || keys.length === 0) {
+        return keys;
+      }
+
+      var removedData = {};
+      keys.forEach(function(key) {
+        removedData[key] = null;
+      });
+      return _writeChunks(removedData, options.onProgress).then(function(result) {
+        return keys.filter(function(key) {
+          return result.failedKeys.indexOf(key) === -1;
+        });
+      });
+    });
+  };
+
+  /**
+   * Returns a promise fulfilled with the density of the locations currently within the area specified by the
+   * provided query criteria, the number of locations within each jeohash cell of the provided precision. For a
+   * density which stays up to date, use the density() of a query() with a clusterPrecision instead.
+   *
+   * The promise is fulfilled with the { cell, bounds, count } records of the cells containing locations, sorted by
+   * their cell, where bounds are the [[south, west], [north, east]] corners of the cell.
+   *
+   * @param {Object} queryCriteria The criteria which specifies the area's center and radius, its
+   * [[south, west], [north, east]] bounds, its polygon, its corridor, or its circles, and optionally a filter the
+   * locations must pass and the maxAge, in milliseconds, of the locations.
+   * @param {number} precision The length of the jeohashes of the cells, between 1 and 22.
+   * @return {Promise.<Array.<Object>>} A promise that is fulfilled with the density records.
+   */
+  this.density = function(queryCriteria, precision) {
+    validatePrecision(precision);
+
+    return this.queryOnce(queryCriteria).then(function(results) {
+      var counts = {};
+      results.forEach(function(result) {
+        var cell = encodeJeohash(result.location, precision);
+        counts[cell] = (counts[cell] || 0) + 1;
+      });
+      return Object.keys(counts).sort().map(function(cell) {
+        return {
+          cell: cell,
+          bounds: jeohashBounds(cell),
+          count: counts[cell]
+        };
+      });
+    });
+  };
+
+  /**
+   * Returns a promise fulfilled with the k locations closest to the provided center.
+   *
+   * The searched radius starts at options.initialRadius and doubles until at least k locations are known to
+   * be within it or options.maxDistance is reached. Each jeohash range is only read once, no matter how
+   * many times the radius is widened.
+   *
+   * The promise is fulfilled with an array of at most k { key, location, uid, complete, data, timestamp, distance }
+   * entries, sorted by their distance, in kilometers, from the center. Fewer than k entries are returned if there
+   * are fewer than k locations within options.maxDistance.
+   *
+   * @param {Array.<number>} center The [latitude, longitude] pair to search around.
+   * @param {number} k The number of locations to return.
+   * @param {Object=} options An optional object containing the initialRadius, in kilometers, to start searching
+   * with (defaults to 1) and the maxDistance, in kilometers, to search up to (defaults to half the earth's
+   * circumference).
+   * @return {Promise.<Array.<Object>>} A promise that is fulfilled with the closest locations.
+   */
+  this.nearest = function(center, k, options) {
+    validateLocation(center);
+    if (typeof k !== "number" || isNaN(k) || k < 1 || Math.round(k) !== k) {
+      throw new Error("k must be a positive integer");
+    }
+    options = validateNearestOptions(options);
+
+    var readQueries = [];
+    var locations = {};
+
+    function searchWithin(radius) {
+      // Only read the parts of the jeohash ranges for this radius which have not been read yet
+      var queries = [];
+      jeohashQueries(center, radius*1000, _precision).forEach(function(query) {
+        queries = queries.concat(jeohashQueryDifference(query, readQueries.concat(queries)));
+      });
+      readQueries = readQueries.concat(queries);
+
+      return _readJeohashQueries(queries, locations).then(function() {
+        var withinRadius = [];
+        Object.keys(locations).forEach(function(key) {
+          locations[key].distance = JeoFire.distance(center, locations[key].location);
+          if (locations[key].distance <= radius) {
+            withinRadius.push(locations[key]);
+          }
+        });
+
+        // Every location within the radius has been read, so the closest k are final once there are k of them
+        if (withinRadius.length >= k || radius >= options.maxDistance) {
+          return _sortByDistance(withinRadius).slice(0, k);
+        }
+        return searchWithin(Math.min(radius*2, options.maxDistance));
+      });
+    }
+
+    return searchWithin(Math.min(options.initialRadius, options.maxDistance));
   };
 
   /*****************/
@@ -113,6 +951,41 @@ var JeoFire = function(firebaseRef) {
   }
 
   var _firebaseRef = firebaseRef;
+
+  validateJeoFireOptions(options);
+  var _precision = (typeof options !== "undefined" && typeof options.precision !== "undefined") ? options.precision : g_GEOHASH_PRECISION;
+  var _historyRef = null;
+  var _historyMaxEntries = null;
+  if (typeof options !== "undefined" && typeof options.history !== "undefined") {
+    // The trails are written along with the locations in a single update from the root of the database
+    if (getPathFromRoot(options.history.ref).root.toString() !== getPathFromRoot(_firebaseRef).root.toString()) {
+      throw new Error("history.ref must be in the same database as firebaseRef");
+    }
+    _historyRef = options.history.ref;
+    _historyMaxEntries = (typeof options.history.maxEntries !== "undefined") ? options.history.maxEntries : null;
+  }
+
+  // The number of entries appended to a trail before it is pruned, and the number appended since each key's trail
+  // was last pruned
+  var _historyPruneInterval = Math.max(1, Math.floor(_historyMaxEntries * g_HISTORY_PRUNE_SLACK));
+  var _historyEntriesSincePrune = {};
+
+  // The interval between flushes of the write buffer, or null if writes are not buffered
+  var _flushIntervalMs = null;
+  if (typeof options !== "undefined" && typeof options.writeBuffer !== "undefined") {
+    _flushIntervalMs = (typeof options.writeBuffer.flushIntervalMs !== "undefined") ? options.writeBuffer.flushIntervalMs : 0;
+  }
+
+  // The writes waiting for the next flush of the write buffer, along with the promise of that flush
+  var _bufferedFlush = null;
+
+  // The promise of the flushes of the write buffer which are still being written, or null if there are none
+  var _inFlightFlush = null;
+
+  var batch = (typeof options !== "undefined" && typeof options.batch !== "undefined") ? options.batch : {};
+  var _batchChunkSize = (typeof batch.chunkSize !== "undefined") ? batch.chunkSize : g_BATCH_CHUNK_SIZE;
+  var _batchConcurrency = (typeof batch.concurrency !== "undefined") ? batch.concurrency : g_BATCH_CONCURRENCY;
+  var _batchOnProgress = (typeof batch.onProgress !== "undefined") ? batch.onProgress : null;
 };
 
 /**
@@ -128,7 +1001,7 @@ JeoFire.distance = function(location1, location2) {
   validateLocation(location1);
   validateLocation(location2);
 
-  var radius = 6371; // Earth's radius in kilometers
+  var radius = g_EARTH_MEAN_RADIUS_KM;
   var latDelta = degreesToRadians(location2[0] - location1[0]);
   var lonDelta = degreesToRadians(location2[1] - location1[1]);
 
@@ -140,3 +1013,135 @@ JeoFire.distance = function(location1, location2) {
 
   return radius * c;
 };
+
+/**
+ * Static namespace of helpers for working with jeohashes, the base32 encoded cells JeoFire indexes
+ * locations by.
+ *
+ * @namespace
+ */
+JeoFire.jeohash = {
+  /**
+   * Encodes a [latitude, longitude] pair as a jeohash.
+   *
+   * @param {Array.<number>} location The [latitude, longitude] pair to encode.
+   * @param {number=} precision The length of the jeohash to create, between 1 and 22. Defaults to 10.
+   * @return {string} The jeohash of the location.
+   */
+  encode: function(location, precision) {
+    return encodeJeohash(location, precision);
+  },
+
+  /**
+   * Decodes a jeohash into the center of its cell and the error margins around that center.
+   *
+   * @param {string} jeohash The jeohash to decode.
+   * @return {Object} An object containing the cell's center as [latitude, longitude] pair and the error as
+   * [latitude, longitude] pair of the maximum distance, in degrees, from the center to the cell's edges.
+   */
+  decode: function(jeohash) {
+    return decodeJeohash(jeohash);
+  },
+
+  /**
+   * Calculates the bounds of the cell represented by a jeohash.
+   *
+   * @param {string} jeohash The jeohash whose cell bounds to calculate.
+   * @return {Array.<Array.<number>>} The cell's south-west and north-east corners as [[south, west], [north, east]].
+   */
+  bounds: function(jeohash) {
+    return jeohashBounds(jeohash);
+  },
+
+  /**
+   * Calculates the jeohash ranges which fully contain a circle. Any jeohash within the circle is
+   * lexicographically greater than or equal to the start and smaller than the end of at least one range.
+   *
+   * @param {Array.<number>} center The center of the circle as [latitude, longitude] pair.
+   * @param {number} radius The radius of the circle, in kilometers.
+   * @return {Array.<Array.<string>>} An array of [start, end] jeohash pairs.
+   */
+  queries: function(center, radius) {
+    return jeohashQueries(center, radius*1000);
+  },
+
+  /**
+   * Calculates the eight cells adjacent to a jeohash's cell, at the same precision. Neighbors wrap across
+   * the antimeridian. Cells at the north or south pole have no neighbors beyond the pole, so those
+   * directions are null.
+   *
+   * @param {string} jeohash The jeohash whose neighbors to calculate.
+   * @return {Object} The jeohashes of the neighboring cells, keyed by direction: n, ne, e, se, s, sw, w and nw.
+   */
+  neighbors: function(jeohash) {
+    return jeohashNeighbors(jeohash);
+  },
+
+  /**
+   * Calculates the jeohashes of every cell of the given precision which is touched by a circle, such as
+   * the cells a client needs to subscribe to for a query.
+   * Throws an error if the circle spans more than 100,000 cells of the given precision.
+   *
+   * @param {Array.<number>} center The center of the circle as [latitude, longitude] pair.
+   * @param {number} radius The radius of the circle, in kilometers.
+   * @param {number} precision The length of the jeohashes to return, between 1 and 22.
+   * @return {Array.<string>} The jeohashes of the cells touched by the circle.
+   */
+  cellsCovering: function(center, radius, precision) {
+    return jeohashesCoveringCircle(center, radius, precision);
+  },
+
+  /**
+   * Validates a jeohash and throws an error if it is invalid.
+   *
+   * @param {string} jeohash The jeohash to validate.
+   */
+  validate: function(jeohash) {
+    validateJeohash(jeohash);
+  }
+};
+
+/**
+ * Static namespace of helpers for analyzing trails, arrays of { location, timestamp } points sorted by their
+ * timestamp, such as the trails returned by history().
+ *
+ * @namespace
+ */
+JeoFire.trail = {
+  /**
+   * Simplifies a trail via the Douglas-Peucker algorithm, dropping the points which are within the tolerance
+   * of the simplified trail. The first and last points are always kept.
+   *
+   * @param {Array.<Object>} trail The trail to simplify.
+   * @param {number} tolerance The maximum distance, in meters, from a dropped point to the simplified trail.
+   * @return {Array.<Object>} The points of the simplified trail, in their original order.
+   */
+  simplify: function(trail, tolerance) {
+    return simplifyTrail(trail, tolerance);
+  },
+
+  /**
+   * Calculates the distance travelled along a trail, its duration and its average and maximum speed.
+   *
+   * @param {Array.<Object>} trail The trail to measure.
+   * @return {Object} An object containing the distance, in kilometers, the duration, in milliseconds, and the
+   * averageSpeed and maxSpeed, in kilometers per hour, of the trail.
+   */
+  stats: function(trail) {
+    return trailStats(trail);
+  },
+
+  /**
+   * Splits a trail into alternating moving and stationary segments. A stationary segment is a run of points
+   * which stay within options.radius meters (defaults to 50) of its first point for at least options.minDuration
+   * milliseconds (defaults to 5 minutes). Consecutive segments share their boundary point.
+   *
+   * @param {Array.<Object>} trail The trail to split.
+   * @param {Object=} options An optional object containing the radius and minDuration of stationary segments.
+   * @return {Array.<Object>} The segments of the trail, each a { type, start, end, points } object where type is
+   * "moving" or "stationary" and start and end are the timestamps of its first and last points.
+   */
+  segments: function(trail, options) {
+    return trailSegments(trail, options);
+  }
+};
@@ -19,6 +19,9 @@ var g_MAXIMUM_BITS_PRECISION = 22*g_BITS_PER_CHAR;
 // Equatorial radius of the earth in meters
 var g_EARTH_EQ_RADIUS = 6378137.0;
 
+// Mean radius of the earth in kilometers, as used by the Haversine formula
+var g_EARTH_MEAN_RADIUS_KM = 6371;
+
 // The following value assumes a polar radius of
 // var g_EARTH_POL_RADIUS = 6356752.3;
 // The formulate to calculate g_E2 is
@@ -26,9 +29,39 @@ var g_EARTH_EQ_RADIUS = 6378137.0;
 // The exact value is used here to avoid rounding errors
 var g_E2 = 0.00669447819799;
 
+// The Promise implementation used by JeoFire: the global one, or the one of the Firebase SDK (3.x and later) in
+// environments without a global Promise
+var g_Promise = (typeof Promise !== "undefined") ? Promise :
+  ((typeof firebase !== "undefined") ? firebase.Promise : undefined);
+
 // Cutoff for rounding errors on double calculations
 var g_EPSILON = 1e-12;
 
+// Query criteria attributes which each specify a query's area on their own, instead of a center and radius
+var g_QUERY_AREA_ATTRIBUTES = ["bounds", "polygon", "corridor", "circles"];
+
+// Query criteria attributes which restrict which locations within a query's area are in the query
+var g_QUERY_FILTER_ATTRIBUTES = ["filter", "maxAge"];
+
+// Longest delay setTimeout() supports, in milliseconds; longer delays overflow and fire immediately
+var g_MAX_TIMEOUT_DELAY = 2147483647;
+
+// Fraction of history.maxEntries by which a trail may grow before it is pruned, so that trails are not read on
+// every write
+var g_HISTORY_PRUNE_SLACK = 0.1;
+
+// Number of expired locations removed per write by removeExpired()
+var g_REMOVE_EXPIRED_BATCH_SIZE = 100;
+
+// Default number of locations written per update by batch set() calls
+var g_BATCH_CHUNK_SIZE = 500;
+
+// Default number of updates a batch set() call runs concurrently
+var g_BATCH_CONCURRENCY = 4;
+
+// Maximum number of cells jeohashesCoveringCircle() walks before it gives up on the requested precision
+var g_MAX_COVERING_CELLS = 100000;
+
 Math.log2 = Math.log2 || function(x) {
   return Math.log(x)/Math.log(2);
 };
@@ -37,8 +70,10 @@ Math.log2 = Math.log2 || function(x) {
  * Validates the inputted key and throws an error if it is invalid.
  *
  * @param {string} key The key to be verified.
+ * @param {number=} precision The length of the jeohashes stored alongside the key. If no precision is
+ * specified, the global default is used.
  */
-var validateKey = function(key) {
+var validateKey = function(key, precision) {
   var error;
 
   if (typeof key !== "string") {
@@ -47,7 +82,7 @@ var validateKey = function(key) {
   else if (key.length === 0) {
     error = "key cannot be the empty string";
   }
-  else if (1 + g_GEOHASH_PRECISION + key.length > 755) {
+  else if (1 + (precision || g_GEOHASH_PRECISION) + key.length > 755) {
     // Firebase can only stored child paths up to 768 characters
     // The child path for this key is at the least: "i/<jeohash>key"
     error = "key is too long to be stored in Firebase";
@@ -127,256 +162,1020 @@ var validateJeohash = function(jeohash) {
 };
 
 /**
- * Validates the inputted query criteria and throws an error if it is invalid.
+ * Validates the inputted jeohash precision and throws an error if it is invalid.
  *
- * @param {Object} newQueryCriteria The criteria which specifies the query's center and/or radius.
+ * @param {number} precision The jeohash length to be verified.
  */
-var validateCriteria = function(newQueryCriteria, requireCenterAndRadius) {
-  if (typeof newQueryCriteria !== "object") {
-    throw new Error("query criteria must be an object");
+var validatePrecision = function(precision) {
+  if (typeof precision !== "number" || isNaN(precision)) {
+    throw new Error("precision must be a number");
   }
-  else if (typeof newQueryCriteria.center === "undefined" && typeof newQueryCriteria.radius === "undefined") {
-    throw new Error("radius and/or center must be specified");
+  else if (precision <= 0) {
+    throw new Error("precision must be greater than 0");
   }
-  else if (requireCenterAndRadius && (typeof newQueryCriteria.center === "undefined" || typeof newQueryCriteria.radius === "undefined")) {
-    throw new Error("query criteria for a new query must contain both a center and a radius");
+  else if (precision > 22) {
+    throw new Error("precision cannot be greater than 22");
+  }
+  else if (Math.round(precision) !== precision) {
+    throw new Error("precision must be an integer");
   }
+};
 
-  // Throw an error if there are any extraneous attributes
-  var keys = Object.keys(newQueryCriteria);
-  var numKeys = keys.length;
-  for (var i = 0; i < numKeys; ++i) {
-    var key = keys[i];
-    if (key !== "center" && key !== "radius") {
-      throw new Error("Unexpected attribute '" + key + "'' found in query criteria");
-    }
+/**
+ * Validates the inputted history options and throws an error if they are invalid.
+ *
+ * @param {Object} history The history options containing the Firebase reference where the trails are stored
+ * and the optional maximum number of entries kept per key.
+ */
+var validateHistoryOptions = function(history) {
+  if (typeof history !== "object" || history === null || Array.isArray(history)) {
+    throw new Error("history must be an object");
   }
 
-  // Validate the "center" attribute
-  if (typeof newQueryCriteria.center !== "undefined") {
-    validateLocation(newQueryCriteria.center);
+  var keys = Object.keys(history);
+  for (var i = 0; i < keys.length; ++i) {
+    if (keys[i] !== "ref" && keys[i] !== "maxEntries") {
+      throw new Error("Unexpected attribute '" + keys[i] + "' found in history");
+    }
   }
 
-  // Validate the "radius" attribute
-  if (typeof newQueryCriteria.radius !== "undefined") {
-    if (typeof newQueryCriteria.radius !== "number" || isNaN(newQueryCriteria.radius)) {
-      throw new Error("radius must be a number");
+  if (Object.prototype.toString.call(history.ref) !== "[object Object]") {
+    throw new Error("history.ref must be an instance of Firebase");
+  }
+  if (typeof history.maxEntries !== "undefined") {
+    if (typeof history.maxEntries !== "number" || isNaN(history.maxEntries)) {
+      throw new Error("history.maxEntries must be a number");
     }
-    else if (newQueryCriteria.radius < 0) {
-      throw new Error("radius must be greater than or equal to 0");
+    else if (history.maxEntries < 1 || Math.round(history.maxEntries) !== history.maxEntries) {
+      throw new Error("history.maxEntries must be a positive integer");
     }
   }
 };
 
 /**
- * Converts degrees to radians.
+ * Validates the inputted write buffer options and throws an error if they are invalid.
  *
- * @param {number} degrees The number of degrees to be converted to radians.
- * @return {number} The number of radians equal to the inputted number of degrees.
+ * @param {Object} writeBuffer The write buffer options containing the optional flushIntervalMs.
  */
-var degreesToRadians = function(degrees) {
-  if (typeof degrees !== "number" || isNaN(degrees)) {
-    throw new Error("Error: degrees must be a number");
+var validateWriteBufferOptions = function(writeBuffer) {
+  if (typeof writeBuffer !== "object" || writeBuffer === null || Array.isArray(writeBuffer)) {
+    throw new Error("writeBuffer must be an object");
   }
 
-  return (degrees * Math.PI / 180);
+  var keys = Object.keys(writeBuffer);
+  for (var i = 0; i < keys.length; ++i) {
+    if (keys[i] !== "flushIntervalMs") {
+      throw new Error("Unexpected attribute '" + keys[i] + "' found in writeBuffer");
+    }
+  }
+
+  if (typeof writeBuffer.flushIntervalMs !== "undefined" &&
+      (typeof writeBuffer.flushIntervalMs !== "number" || isNaN(writeBuffer.flushIntervalMs) || writeBuffer.flushIntervalMs < 0)) {
+    throw new Error("writeBuffer.flushIntervalMs must be a number greater than or equal to 0");
+  }
 };
 
 /**
- * Generates a jeohash of the specified precision/string length from the  [latitude, longitude]
- * pair, specified as an array.
+ * Validates the inputted JeoQuery options and throws an error if they are invalid.
  *
- * @param {Array.<number>} location The [latitude, longitude] pair to encode into a jeohash.
- * @param {number=} precision The length of the jeohash to create. If no precision is
- * specified, the global default is used.
- * @return {string} The jeohash of the inputted location.
+ * @param {Object=} options The options containing the precision of the stored jeohashes, the debounceMs of
+ * criteria updates and the clusterPrecision of the clusters.
  */
-var encodeJeohash = function(location, precision) {
-  validateLocation(location);
-  if (typeof precision !== "undefined") {
-    if (typeof precision !== "number" || isNaN(precision)) {
-      throw new Error("precision must be a number");
-    }
-    else if (precision <= 0) {
-      throw new Error("precision must be greater than 0");
-    }
-    else if (precision > 22) {
-      throw new Error("precision cannot be greater than 22");
-    }
-    else if (Math.round(precision) !== precision) {
-      throw new Error("precision must be an integer");
-    }
+var validateQueryOptions = function(options) {
+  if (typeof options === "undefined") {
+    return;
+  }
+  else if (typeof options !== "object" || options === null || Array.isArray(options)) {
+    throw new Error("options must be an object");
   }
 
-  // Use the global precision default if no precision is specified
-  precision = precision || g_GEOHASH_PRECISION;
+  var keys = Object.keys(options);
+  for (var i = 0; i < keys.length; ++i) {
+    if (keys[i] !== "precision" && keys[i] !== "debounceMs" && keys[i] !== "clusterPrecision") {
+      throw new Error("Unexpected attribute '" + keys[i] + "' found in options");
+    }
+  }
 
-  var latitudeRange = {
-    min: -90,
-    max: 90
-  };
-  var longitudeRange = {
-    min: -180,
-    max: 180
-  };
-  var hash = "";
-  var hashVal = 0;
-  var bits = 0;
-  var even = 1;
+  if (typeof options.precision !== "undefined") {
+    validatePrecision(options.precision);
+  }
+  if (typeof options.debounceMs !== "undefined" &&
+      (typeof options.debounceMs !== "number" || isNaN(options.debounceMs) || options.debounceMs < 0)) {
+    throw new Error("debounceMs must be a number greater than or equal to 0");
+  }
+  if (typeof options.clusterPrecision !== "undefined" && options.clusterPrecision !== null) {
+    validatePrecision(options.clusterPrecision);
+  }
+};
 
-  while (hash.length < precision) {
-    var val = even ? location[1] : location[0];
-    var range = even ? longitudeRange : latitudeRange;
-    var mid = (range.min + range.max) / 2;
+/**
+ * Validates the inputted batch options and throws an error if they are invalid.
+ *
+ * @param {Object} batch The batch options containing the optional chunkSize, concurrency and onProgress callback.
+ */
+var validateBatchOptions = function(batch) {
+  if (typeof batch !== "object" || batch === null || Array.isArray(batch)) {
+    throw new Error("batch must be an object");
+  }
 
-    /* jshint -W016 */
-    if (val > mid) {
-      hashVal = (hashVal << 1) + 1;
-      range.min = mid;
-    }
-    else {
-      hashVal = (hashVal << 1) + 0;
-      range.max = mid;
+  var keys = Object.keys(batch);
+  for (var i = 0; i < keys.length; ++i) {
+    if (keys[i] !== "chunkSize" && keys[i] !== "concurrency" && keys[i] !== "onProgress") {
+      throw new Error("Unexpected attribute '" + keys[i] + "' found in batch");
     }
-    /* jshint +W016 */
+  }
 
-    even = !even;
-    if (bits < 4) {
-      bits++;
-    }
-    else {
-      bits = 0;
-      hash += g_BASE32[hashVal];
-      hashVal = 0;
+  ["chunkSize", "concurrency"].forEach(function(attribute) {
+    var value = batch[attribute];
+    if (typeof value !== "undefined" && (typeof value !== "number" || value < 1 || Math.round(value) !== value)) {
+      throw new Error("batch." + attribute + " must be a positive integer");
     }
+  });
+  if (typeof batch.onProgress !== "undefined" && typeof batch.onProgress !== "function") {
+    throw new Error("batch.onProgress must be a function");
   }
-
-  return hash;
 };
 
 /**
- * Calculates the number of degrees a given distance is at a given latitude.
+ * Validates the inputted JeoFire options and throws an error if they are invalid.
  *
- * @param {number} distance The distance to convert.
- * @param {number} latitude The latitude at which to calculate.
- * @return {number} The number of degrees the distance corresponds to.
+ * @param {Object=} options The options containing the precision of the stored jeohashes, the history options, the
+ * write buffer options and the batch options.
  */
-var metersToLongitudeDegrees = function(distance, latitude) {
-  var radians = degreesToRadians(latitude);
-  var num = Math.cos(radians)*g_EARTH_EQ_RADIUS*Math.PI/180;
-  var denom = 1/Math.sqrt(1-g_E2*Math.sin(radians)*Math.sin(radians));
-  var deltaDeg = num*denom;
-  if (deltaDeg  < g_EPSILON) {
-    return distance > 0 ? 360 : 0;
+var validateJeoFireOptions = function(options) {
+  if (typeof options === "undefined") {
+    return;
   }
-  else {
-    return Math.min(360, distance/deltaDeg);
+  else if (typeof options !== "object" || options === null || Array.isArray(options)) {
+    throw new Error("options must be an object");
+  }
+
+  var keys = Object.keys(options);
+  for (var i = 0; i < keys.length; ++i) {
+    if (["precision", "history", "writeBuffer", "batch"].indexOf(keys[i]) === -1) {
+      throw new Error("Unexpected attribute '" + keys[i] + "' found in options");
+    }
+  }
+
+  if (typeof options.precision !== "undefined") {
+    validatePrecision(options.precision);
+  }
+  if (typeof options.history !== "undefined") {
+    validateHistoryOptions(options.history);
+  }
+  if (typeof options.writeBuffer !== "undefined") {
+    validateWriteBufferOptions(options.writeBuffer);
+  }
+  if (typeof options.batch !== "undefined") {
+    validateBatchOptions(options.batch);
   }
 };
 
 /**
- * Calculates the bits necessary to reach a given resolution, in meters, for the longitude at a
- * given latitude.
+ * Validates the inputted bounds and throws an error if they are invalid.
  *
- * @param {number} resolution The desired resolution.
- * @param {number} latitude The latitude used in the conversion.
- * @return {number} The bits necessary to reach a given resolution, in meters.
+ * @param {Array.<Array.<number>>} bounds The [[south, west], [north, east]] pair of corners to be verified.
  */
-var longitudeBitsForResolution = function(resolution, latitude) {
-  var degs = metersToLongitudeDegrees(resolution, latitude);
-  return (Math.abs(degs) > 0.000001) ?  Math.max(1, Math.log2(360/degs)) : 1;
+var validateBounds = function(bounds) {
+  var error;
+
+  if (!Array.isArray(bounds)) {
+    error = "bounds must be an array";
+  }
+  else if (bounds.length !== 2) {
+    error = "expected array of length 2, got length " + bounds.length;
+  }
+  else {
+    try {
+      validateLocation(bounds[0]);
+      validateLocation(bounds[1]);
+    } catch (e) {
+      error = e.message;
+    }
+
+    if (typeof error === "undefined" && bounds[0][0] > bounds[1][0]) {
+      error = "south latitude cannot be greater than north latitude";
+    }
+  }
+
+  if (typeof error !== "undefined") {
+    throw new Error("Invalid JeoFire bounds '" + JSON.stringify(bounds) + "': " + error);
+  }
 };
 
 /**
- * Calculates the bits necessary to reach a given resolution, in meters, for the latitude.
+ * Returns the rings of the given polygon. A polygon is either a single ring of [latitude, longitude]
+ * vertices or an array of rings, where the first ring is the outer boundary and any further rings are holes.
  *
- * @param {number} resolution The bits necessary to reach a given resolution, in meters.
+ * @param {Array} polygon The polygon whose rings to return.
+ * @return {Array.<Array.<Array.<number>>>} The rings of the polygon.
  */
-var latitudeBitsForResolution = function(resolution) {
-  return Math.min(Math.log2(g_EARTH_MERI_CIRCUMFERENCE/2/resolution), g_MAXIMUM_BITS_PRECISION);
+var polygonRings = function(polygon) {
+  return (Array.isArray(polygon[0]) && Array.isArray(polygon[0][0])) ? polygon : [polygon];
 };
 
 /**
- * Wraps the longitude to [-180,180].
+ * Validates the inputted polygon and throws an error if it is invalid.
  *
- * @param {number} longitude The longitude to wrap.
- * @return {number} longitude The resulting longitude.
+ * @param {Array} polygon The polygon, given as a ring of [latitude, longitude] vertices or as an array of
+ * rings where all rings after the first are holes, to be verified.
  */
-var wrapLongitude = function(longitude) {
-  if (longitude <= 180 && longitude >= -180) {
-    return longitude;
+var validatePolygon = function(polygon) {
+  var error;
+
+  if (!Array.isArray(polygon)) {
+    error = "polygon must be an array";
   }
-  var adjusted = longitude + 180;
-  if (adjusted > 0) {
-    return (adjusted % 360) - 180;
+  else if (polygon.length === 0) {
+    error = "polygon cannot be empty";
   }
   else {
-    return 180 - (-adjusted % 360);
+    var rings = polygonRings(polygon);
+    for (var i = 0; i < rings.length && typeof error === "undefined"; ++i) {
+      if (!Array.isArray(rings[i]) || rings[i].length < 3) {
+        error = "each ring must be an array of at least 3 vertices";
+      }
+      else {
+        try {
+          rings[i].forEach(validateLocation);
+        } catch (e) {
+          error = e.message;
+        }
+      }
+    }
+  }
+
+  if (typeof error !== "undefined") {
+    throw new Error("Invalid JeoFire polygon '" + JSON.stringify(polygon) + "': " + error);
   }
 };
 
 /**
- * Calculates the maximum number of bits of a jeohash to get a bounding box that is larger than a
- * given size at the given coordinate.
+ * Validates the inputted corridor and throws an error if it is invalid.
  *
- * @param {Array.<number>} coordinate The coordinate as a [latitude, longitude] pair.
- * @param {number} size The size of the bounding box.
- * @return {number} The number of bits necessary for the jeohash.
+ * @param {Object} corridor The corridor to be verified, given as an object containing a path of at least two
+ * [latitude, longitude] vertices and a buffer distance, in kilometers.
  */
-var boundingBoxBits = function(coordinate, size) {
-  var latDeltaDegrees = size/g_METERS_PER_DEGREE_LATITUDE;
-  var latitudeNorth = Math.min(90, coordinate[0] + latDeltaDegrees);
-  var latitudeSouth = Math.max(-90, coordinate[0] - latDeltaDegrees);
-  var bitsLat = Math.floor(latitudeBitsForResolution(size))*2;
-  var bitsLongNorth = Math.floor(longitudeBitsForResolution(size, latitudeNorth))*2-1;
-  var bitsLongSouth = Math.floor(longitudeBitsForResolution(size, latitudeSouth))*2-1;
-  return Math.min(bitsLat, bitsLongNorth, bitsLongSouth, g_MAXIMUM_BITS_PRECISION);
+var validateCorridor = function(corridor) {
+  var error;
+
+  if (typeof corridor !== "object" || corridor === null || Array.isArray(corridor)) {
+    error = "corridor must be an object";
+  }
+  else if (!Array.isArray(corridor.path) || corridor.path.length < 2) {
+    error = "path must be an array of at least 2 vertices";
+  }
+  else if (typeof corridor.buffer !== "number" || isNaN(corridor.buffer)) {
+    error = "buffer must be a number";
+  }
+  else if (corridor.buffer < 0) {
+    error = "buffer must be greater than or equal to 0";
+  }
+  else {
+    var keys = Object.keys(corridor);
+    for (var i = 0; i < keys.length; ++i) {
+      if (keys[i] !== "path" && keys[i] !== "buffer") {
+        error = "unexpected attribute '" + keys[i] + "'";
+      }
+    }
+    if (typeof error === "undefined") {
+      try {
+        corridor.path.forEach(validateLocation);
+      } catch (e) {
+        error = e.message;
+      }
+    }
+  }
+
+  if (typeof error !== "undefined") {
+    throw new Error("Invalid JeoFire corridor '" + JSON.stringify(corridor) + "': " + error);
+  }
 };
 
 /**
- * Calculates eight points on the bounding box and the center of a given circle. At least one
- * jeohash of these nine coordinates, truncated to a precision of at most radius, are guaranteed
- * to be prefixes of any jeohash that lies within the circle.
+ * Validates the inputted circles and throws an error if they are invalid.
  *
- * @param {Array.<number>} center The center given as [latitude, longitude].
- * @param {number} radius The radius of the circle.
- * @return {Array.<Array.<number>>} The eight bounding box points.
+ * @param {Array.<Object>} circles The circles to be verified, given as a non-empty array of objects each
+ * containing a center [latitude, longitude] pair and a radius, in kilometers.
  */
-var boundingBoxCoordinates = function(center, radius) {
-  var latDegrees = radius/g_METERS_PER_DEGREE_LATITUDE;
-  var latitudeNorth = Math.min(90, center[0] + latDegrees);
-  var latitudeSouth = Math.max(-90, center[0] - latDegrees);
-  var longDegsNorth = metersToLongitudeDegrees(radius, latitudeNorth);
-  var longDegsSouth = metersToLongitudeDegrees(radius, latitudeSouth);
-  var longDegs = Math.max(longDegsNorth, longDegsSouth);
-  return [
-    [center[0], center[1]],
-    [center[0], wrapLongitude(center[1] - longDegs)],
-    [center[0], wrapLongitude(center[1] + longDegs)],
-    [latitudeNorth, center[1]],
-    [latitudeNorth, wrapLongitude(center[1] - longDegs)],
-    [latitudeNorth, wrapLongitude(center[1] + longDegs)],
-    [latitudeSouth, center[1]],
-    [latitudeSouth, wrapLongitude(center[1] - longDegs)],
-    [latitudeSouth, wrapLongitude(center[1] + longDegs)]
-  ];
+var validateCircles = function(circles) {
+  var error;
+
+  if (!Array.isArray(circles)) {
+    error = "circles must be an array";
+  }
+  else if (circles.length === 0) {
+    error = "circles cannot be empty";
+  }
+  else {
+    for (var i = 0; i < circles.length && typeof error === "undefined"; ++i) {
+      var circle = circles[i];
+      if (typeof circle !== "object" || circle === null || Array.isArray(circle)) {
+        error = "circle " + i + " must be an object";
+      }
+      else if (typeof circle.radius !== "number" || isNaN(circle.radius)) {
+        error = "radius of circle " + i + " must be a number";
+      }
+      else if (circle.radius < 0) {
+        error = "radius of circle " + i + " must be greater than or equal to 0";
+      }
+      else {
+        var keys = Object.keys(circle);
+        for (var j = 0; j < keys.length; ++j) {
+          if (keys[j] !== "center" && keys[j] !== "radius") {
+            error = "unexpected attribute '" + keys[j] + "' in circle " + i;
+          }
+        }
+        if (typeof error === "undefined") {
+          try {
+            validateLocation(circle.center);
+          } catch (e) {
+            error = e.message;
+          }
+        }
+      }
+    }
+  }
+
+  if (typeof error !== "undefined") {
+    throw new Error("Invalid JeoFire circles '" + JSON.stringify(circles) + "': " + error);
+  }
 };
 
 /**
- * Calculates the bounding box query for a jeohash with x bits precision.
+ * Validates the inputted location data payload and throws an error if it cannot be stored in Firebase.
  *
- * @param {string} jeohash The jeohash whose bounding box query to generate.
- * @param {number} bits The number of bits of precision.
- * @return {Array.<string>} A [start, end] pair of jeohashes.
+ * @param {*} data The data to be verified. Objects and arrays are verified recursively.
  */
-var jeohashQuery = function(jeohash, bits) {
-  validateJeohash(jeohash);
-  var precision = Math.ceil(bits/g_BITS_PER_CHAR);
-  if (jeohash.length < precision) {
-    return [jeohash, jeohash+"~"];
+var validateData = function(data) {
+  var error;
+
+  if (typeof data === "string" || typeof data === "boolean") {
+    return;
   }
-  jeohash = jeohash.substring(0, precision);
-  var base = jeohash.substring(0, jeohash.length - 1);
+  else if (typeof data === "number") {
+    if (!isFinite(data)) {
+      error = "numbers must be finite";
+    }
+  }
+  else if (typeof data !== "object" || data === null) {
+    error = "data must be a string, number, boolean, array or object";
+  }
+  else {
+    var keys = Object.keys(data);
+    for (var i = 0; i < keys.length && typeof error === "undefined"; ++i) {
+      if (keys[i].length === 0 || /[.#$\/\[\]]/.test(keys[i])) {
+        error = "key '" + keys[i] + "' cannot be empty or contain any of . # $ / [ ]";
+      }
+      else if (data[keys[i]] !== null) {
+        try {
+          validateData(data[keys[i]]);
+        } catch (e) {
+          error = e.message;
+        }
+      }
+    }
+  }
+
+  if (typeof error !== "undefined") {
+    throw new Error(error);
+  }
+};
+
+/**
+ * Validates the inputted location metadata and throws an error if it is invalid.
+ *
+ * @param {Object} metadata The metadata to be verified, given as an object containing the complete flag,
+ * the uid and/or the data payload of a location.
+ */
+var validateLocationMetadata = function(metadata) {
+  var error;
+
+  if (typeof metadata !== "object" || metadata === null || Array.isArray(metadata)) {
+    error = "metadata must be an object";
+  }
+  else {
+    var keys = Object.keys(metadata);
+    for (var i = 0; i < keys.length; ++i) {
+      if (keys[i] !== "complete" && keys[i] !== "uid" && keys[i] !== "data") {
+        error = "unexpected attribute '" + keys[i] + "'";
+      }
+    }
+    if (typeof error === "undefined") {
+      if (typeof metadata.complete !== "undefined" && typeof metadata.complete !== "boolean") {
+        error = "complete must be a boolean";
+      }
+      else if (typeof metadata.uid !== "undefined" && (typeof metadata.uid !== "string" || metadata.uid.length === 0)) {
+        error = "uid must be a non-empty string";
+      }
+      else if (typeof metadata.data !== "undefined") {
+        try {
+          validateData(metadata.data);
+        } catch (e) {
+          error = e.message;
+        }
+      }
+    }
+  }
+
+  if (typeof error !== "undefined") {
+    throw new Error("Invalid JeoFire location metadata '" + JSON.stringify(metadata) + "': " + error);
+  }
+};
+
+/**
+ * Validates the inputted query filter and throws an error if it is invalid.
+ *
+ * @param {?(function|Object)} filter The filter to be verified, given as a predicate, as an object containing
+ * the complete flag and/or the uid or uids to match, or as null.
+ */
+var validateFilter = function(filter) {
+  var error;
+
+  if (filter === null || typeof filter === "function") {
+    return;
+  }
+  else if (typeof filter !== "object" || Array.isArray(filter)) {
+    error = "filter must be a function, an object or null";
+  }
+  else {
+    var keys = Object.keys(filter);
+    for (var i = 0; i < keys.length; ++i) {
+      if (keys[i] !== "complete" && keys[i] !== "uid") {
+        error = "unexpected attribute '" + keys[i] + "'";
+      }
+    }
+    if (typeof error === "undefined") {
+      var uids = Array.isArray(filter.uid) ? filter.uid : [filter.uid];
+      if (typeof filter.complete !== "undefined" && typeof filter.complete !== "boolean") {
+        error = "complete must be a boolean";
+      }
+      else if (typeof filter.uid !== "undefined" && (uids.length === 0 || uids.some(function(uid) { return typeof uid !== "string"; }))) {
+        error = "uid must be a string or a non-empty array of strings";
+      }
+    }
+  }
+
+  if (typeof error !== "undefined") {
+    throw new Error("Invalid JeoFire filter '" + JSON.stringify(filter) + "': " + error);
+  }
+};
+
+/**
+ * Validates the inputted query criteria and throws an error if it is invalid.
+ *
+ * @param {Object} newQueryCriteria The criteria which specifies the query's center and/or radius, or one of
+ * its area attributes, and/or its filter and maxAge.
+ * @param {boolean=} requireCenterAndRadius Whether a criteria without an area attribute must contain both a
+ * center and a radius. Otherwise, a criteria containing only a filter and/or maxAge is valid.
+ */
+var validateCriteria = function(newQueryCriteria, requireCenterAndRadius) {
+  if (typeof newQueryCriteria !== "object" || newQueryCriteria === null || Array.isArray(newQueryCriteria)) {
+    throw new Error("query criteria must be an object");
+  }
+
+  var areaAttributes = g_QUERY_AREA_ATTRIBUTES.filter(function(attribute) {
+    return typeof newQueryCriteria[attribute] !== "undefined";
+  });
+  if (areaAttributes.length > 1) {
+    throw new Error("query criteria cannot contain both " + areaAttributes.join(" and "));
+  }
+  else if (areaAttributes.length === 1) {
+    if (typeof newQueryCriteria.center !== "undefined" || typeof newQueryCriteria.radius !== "undefined") {
+      throw new Error(areaAttributes[0] + " cannot be combined with a center or a radius");
+    }
+  }
+  else if (typeof newQueryCriteria.center === "undefined" && typeof newQueryCriteria.radius === "undefined") {
+    // A criteria which only changes the filter or maxAge keeps the current area of an existing query
+    var hasFilterAttribute = g_QUERY_FILTER_ATTRIBUTES.some(function(attribute) {
+      return typeof newQueryCriteria[attribute] !== "undefined";
+    });
+    if (requireCenterAndRadius || !hasFilterAttribute) {
+      throw new Error("radius and/or center, or one of " + g_QUERY_AREA_ATTRIBUTES.join(", ") + " must be specified");
+    }
+  }
+  else if (requireCenterAndRadius && (typeof newQueryCriteria.center === "undefined" || typeof newQueryCriteria.radius === "undefined")) {
+    throw new Error("query criteria for a new query must contain both a center and a radius");
+  }
+
+  // Throw an error if there are any extraneous attributes
+  var keys = Object.keys(newQueryCriteria);
+  var numKeys = keys.length;
+  for (var i = 0; i < numKeys; ++i) {
+    var key = keys[i];
+    if (key !== "center" && key !== "radius" && g_QUERY_AREA_ATTRIBUTES.indexOf(key) === -1 && g_QUERY_FILTER_ATTRIBUTES.indexOf(key) === -1) {
+      throw new Error("Unexpected attribute '" + key + "'' found in query criteria");
+    }
+  }
+
+  // Validate the "center" attribute
+  if (typeof newQueryCriteria.center !== "undefined") {
+    validateLocation(newQueryCriteria.center);
+  }
+
+  // Validate the "radius" attribute
+  if (typeof newQueryCriteria.radius !== "undefined") {
+    if (typeof newQueryCriteria.radius !== "number" || isNaN(newQueryCriteria.radius)) {
+      throw new Error("radius must be a number");
+    }
+    else if (newQueryCriteria.radius < 0) {
+      throw new Error("radius must be greater than or equal to 0");
+    }
+  }
+
+  // Validate the "bounds" attribute
+  if (typeof newQueryCriteria.bounds !== "undefined") {
+    validateBounds(newQueryCriteria.bounds);
+  }
+
+  // Validate the "polygon" attribute
+  if (typeof newQueryCriteria.polygon !== "undefined") {
+    validatePolygon(newQueryCriteria.polygon);
+  }
+
+  // Validate the "corridor" attribute
+  if (typeof newQueryCriteria.corridor !== "undefined") {
+    validateCorridor(newQueryCriteria.corridor);
+  }
+
+  // Validate the "circles" attribute
+  if (typeof newQueryCriteria.circles !== "undefined") {
+    validateCircles(newQueryCriteria.circles);
+  }
+
+  // Validate the "filter" attribute
+  if (typeof newQueryCriteria.filter !== "undefined") {
+    validateFilter(newQueryCriteria.filter);
+  }
+
+  // Validate the "maxAge" attribute
+  if (typeof newQueryCriteria.maxAge !== "undefined" && newQueryCriteria.maxAge !== null) {
+    if (typeof newQueryCriteria.maxAge !== "number" || isNaN(newQueryCriteria.maxAge)) {
+      throw new Error("maxAge must be a number");
+    }
+    else if (newQueryCriteria.maxAge <= 0) {
+      throw new Error("maxAge must be greater than 0");
+    }
+  }
+};
+
+/**
+ * Validates the inputted nearest() options, throwing an error if they are invalid, and returns them with
+ * their defaults filled in.
+ *
+ * @param {Object=} options The options containing the initialRadius and/or maxDistance, in kilometers.
+ * @return {Object} The options with their defaults filled in.
+ */
+var validateNearestOptions = function(options) {
+  if (typeof options === "undefined") {
+    options = {};
+  }
+  else if (typeof options !== "object" || options === null) {
+    throw new Error("options must be an object");
+  }
+
+  var keys = Object.keys(options);
+  for (var i = 0; i < keys.length; ++i) {
+    if (keys[i] !== "initialRadius" && keys[i] !== "maxDistance") {
+      throw new Error("Unexpected attribute '" + keys[i] + "' found in options");
+    }
+  }
+
+  ["initialRadius", "maxDistance"].forEach(function(attribute) {
+    if (typeof options[attribute] !== "undefined") {
+      if (typeof options[attribute] !== "number" || isNaN(options[attribute])) {
+        throw new Error(attribute + " must be a number");
+      }
+      else if (options[attribute] <= 0) {
+        throw new Error(attribute + " must be greater than 0");
+      }
+    }
+  });
+
+  return {
+    initialRadius: (typeof options.initialRadius !== "undefined") ? options.initialRadius : 1,
+    maxDistance: (typeof options.maxDistance !== "undefined") ? options.maxDistance : g_EARTH_MERI_CIRCUMFERENCE/2000
+  };
+};
+
+/**
+ * Validates the inputted removeWithin() options and throws an error if they are invalid.
+ *
+ * @param {Object=} options The options containing whether the removal is a dryRun and its onProgress callback.
+ * @return {Object} The validated options.
+ */
+var validateRemoveWithinOptions = function(options) {
+  if (typeof options === "undefined") {
+    options = {};
+  }
+  else if (typeof options !== "object" || options === null) {
+    throw new Error("options must be an object");
+  }
+
+  var keys = Object.keys(options);
+  for (var i = 0; i < keys.length; ++i) {
+    if (keys[i] !== "dryRun" && keys[i] !== "onProgress") {
+      throw new Error("Unexpected attribute '" + keys[i] + "' found in options");
+    }
+  }
+  if (typeof options.dryRun !== "undefined" && typeof options.dryRun !== "boolean") {
+    throw new Error("dryRun must be a boolean");
+  }
+  if (typeof options.onProgress !== "undefined" && typeof options.onProgress !== "function") {
+    throw new Error("onProgress must be a function");
+  }
+
+  return {
+    dryRun: options.dryRun === true,
+    onProgress: (typeof options.onProgress !== "undefined") ? options.onProgress : null
+  };
+};
+
+/**
+ * Validates the inputted history() options and throws an error if they are invalid.
+ *
+ * @param {Object=} options The options containing the from and to timestamps, in milliseconds since the epoch,
+ * and the limit of the trail to read.
+ * @return {Object} The validated options.
+ */
+var validateHistoryQueryOptions = function(options) {
+  if (typeof options === "undefined") {
+    options = {};
+  }
+  else if (typeof options !== "object" || options === null) {
+    throw new Error("options must be an object");
+  }
+
+  var keys = Object.keys(options);
+  for (var i = 0; i < keys.length; ++i) {
+    if (keys[i] !== "from" && keys[i] !== "to" && keys[i] !== "limit") {
+      throw new Error("Unexpected attribute '" + keys[i] + "' found in options");
+    }
+  }
+
+  ["from", "to"].forEach(function(attribute) {
+    if (typeof options[attribute] !== "undefined" && (typeof options[attribute] !== "number" || isNaN(options[attribute]))) {
+      throw new Error(attribute + " must be a number");
+    }
+  });
+  if (typeof options.from !== "undefined" && typeof options.to !== "undefined" && options.from > options.to) {
+    throw new Error("from cannot be greater than to");
+  }
+  if (typeof options.limit !== "undefined" &&
+      (typeof options.limit !== "number" || options.limit < 1 || Math.round(options.limit) !== options.limit)) {
+    throw new Error("limit must be a positive integer");
+  }
+
+  return options;
+};
+
+/**
+ * Validates the inputted track() options and throws an error if they are invalid.
+ *
+ * @param {Object=} options The options containing the minDistanceMeters and minIntervalMs between writes.
+ * @return {Object} The validated options, with each missing threshold set to 0.
+ */
+var validateTrackerOptions = function(options) {
+  if (typeof options === "undefined") {
+    options = {};
+  }
+  else if (typeof options !== "object" || options === null) {
+    throw new Error("options must be an object");
+  }
+
+  var keys = Object.keys(options);
+  for (var i = 0; i < keys.length; ++i) {
+    if (keys[i] !== "minDistanceMeters" && keys[i] !== "minIntervalMs") {
+      throw new Error("Unexpected attribute '" + keys[i] + "' found in options");
+    }
+  }
+
+  ["minDistanceMeters", "minIntervalMs"].forEach(function(attribute) {
+    if (typeof options[attribute] !== "undefined" &&
+        (typeof options[attribute] !== "number" || isNaN(options[attribute]) || options[attribute] < 0)) {
+      throw new Error(attribute + " must be a number greater than or equal to 0");
+    }
+  });
+
+  return {
+    minDistanceMeters: (typeof options.minDistanceMeters !== "undefined") ? options.minDistanceMeters : 0,
+    minIntervalMs: (typeof options.minIntervalMs !== "undefined") ? options.minIntervalMs : 0
+  };
+};
+
+/**
+ * Validates the inputted trail and throws an error if it is invalid.
+ *
+ * @param {Array.<Object>} trail The trail to be verified, an array of { location, timestamp } points sorted by
+ * their timestamp, as returned by history().
+ */
+var validateTrail = function(trail) {
+  if (!Array.isArray(trail)) {
+    throw new Error("trail must be an array");
+  }
+
+  trail.forEach(function(point, i) {
+    if (typeof point !== "object" || point === null) {
+      throw new Error("Invalid JeoFire trail point '" + point + "': must be an object");
+    }
+    validateLocation(point.location);
+    if (typeof point.timestamp !== "number" || !isFinite(point.timestamp)) {
+      throw new Error("Invalid JeoFire trail point '" + JSON.stringify(point) + "': timestamp must be a number");
+    }
+    if (i > 0 && point.timestamp < trail[i - 1].timestamp) {
+      throw new Error("trail must be sorted by timestamp");
+    }
+  });
+};
+
+/**
+ * Converts degrees to radians.
+ *
+ * @param {number} degrees The number of degrees to be converted to radians.
+ * @return {number} The number of radians equal to the inputted number of degrees.
+ */
+var degreesToRadians = function(degrees) {
+  if (typeof degrees !== "number" || isNaN(degrees)) {
+    throw new Error("Error: degrees must be a number");
+  }
+
+  return (degrees * Math.PI / 180);
+};
+
+/**
+ * Generates a jeohash of the specified precision/string length from the  [latitude, longitude]
+ * pair, specified as an array.
+ *
+ * @param {Array.<number>} location The [latitude, longitude] pair to encode into a jeohash.
+ * @param {number=} precision The length of the jeohash to create. If no precision is
+ * specified, the global default is used.
+ * @return {string} The jeohash of the inputted location.
+ */
+var encodeJeohash = function(location, precision) {
+  validateLocation(location);
+  if (typeof precision !== "undefined") {
+    validatePrecision(precision);
+  }
+
+  // Use the global precision default if no precision is specified
+  precision = precision || g_GEOHASH_PRECISION;
+
+  var latitudeRange = {
+    min: -90,
+    max: 90
+  };
+  var longitudeRange = {
+    min: -180,
+    max: 180
+  };
+  var hash = "";
+  var hashVal = 0;
+  var bits = 0;
+  var even = 1;
+
+  while (hash.length < precision) {
+    var val = even ? location[1] : location[0];
+    var range = even ? longitudeRange : latitudeRange;
+    var mid = (range.min + range.max) / 2;
+
+    /* jshint -W016 */
+    if (val > mid) {
+      hashVal = (hashVal << 1) + 1;
+      range.min = mid;
+    }
+    else {
+      hashVal = (hashVal << 1) + 0;
+      range.max = mid;
+    }
+    /* jshint +W016 */
+
+    even = !even;
+    if (bits < 4) {
+      bits++;
+    }
+    else {
+      bits = 0;
+      hash += g_BASE32[hashVal];
+      hashVal = 0;
+    }
+  }
+
+  return hash;
+};
+
+/**
+ * Calculates the bounds of the cell represented by the given jeohash.
+ *
+ * @param {string} jeohash The jeohash whose cell bounds to calculate.
+ * @return {Array.<Array.<number>>} The cell's south-west and north-east corners as [[south, west], [north, east]].
+ */
+var jeohashBounds = function(jeohash) {
+  validateJeohash(jeohash);
+
+  var latitudeRange = {
+    min: -90,
+    max: 90
+  };
+  var longitudeRange = {
+    min: -180,
+    max: 180
+  };
+  var even = 1;
+
+  for (var i = 0; i < jeohash.length; ++i) {
+    var hashVal = g_BASE32.indexOf(jeohash[i]);
+    for (var bit = g_BITS_PER_CHAR - 1; bit >= 0; --bit) {
+      var range = even ? longitudeRange : latitudeRange;
+      var mid = (range.min + range.max) / 2;
+
+      /* jshint -W016 */
+      if ((hashVal >> bit) & 1) {
+        range.min = mid;
+      }
+      else {
+        range.max = mid;
+      }
+      /* jshint +W016 */
+
+      even = !even;
+    }
+  }
+
+  return [[latitudeRange.min, longitudeRange.min], [latitudeRange.max, longitudeRange.max]];
+};
+
+/**
+ * Decodes a jeohash into the center of its cell and the error margins around that center.
+ *
+ * @param {string} jeohash The jeohash to decode.
+ * @return {Object} An object containing the cell's center as [latitude, longitude] pair and the error as
+ * [latitude, longitude] pair of the maximum distance, in degrees, from the center to the cell's edges.
+ */
+var decodeJeohash = function(jeohash) {
+  var bounds = jeohashBounds(jeohash);
+  return {
+    center: [(bounds[0][0] + bounds[1][0]) / 2, (bounds[0][1] + bounds[1][1]) / 2],
+    error: [(bounds[1][0] - bounds[0][0]) / 2, (bounds[1][1] - bounds[0][1]) / 2]
+  };
+};
+
+/**
+ * Calculates the eight cells adjacent to the cell represented by the given jeohash, at the same precision.
+ * Neighbors wrap across the antimeridian. Cells at the north or south pole have no neighbors beyond the
+ * pole, so those directions are null.
+ *
+ * @param {string} jeohash The jeohash whose neighbors to calculate.
+ * @return {Object} The jeohashes of the neighboring cells, keyed by direction: n, ne, e, se, s, sw, w and nw.
+ */
+var jeohashNeighbors = function(jeohash) {
+  var bounds = jeohashBounds(jeohash);
+  var latitudeSize = bounds[1][0] - bounds[0][0];
+  var longitudeSize = bounds[1][1] - bounds[0][1];
+  var center = [bounds[0][0] + latitudeSize / 2, bounds[0][1] + longitudeSize / 2];
+
+  var neighbor = function(latitudeSteps, longitudeSteps) {
+    var latitude = center[0] + latitudeSteps * latitudeSize;
+    if (latitude > 90 || latitude < -90) {
+      return null;
+    }
+    return encodeJeohash([latitude, wrapLongitude(center[1] + longitudeSteps * longitudeSize)], jeohash.length);
+  };
+
+  return {
+    n: neighbor(1, 0),
+    ne: neighbor(1, 1),
+    e: neighbor(0, 1),
+    se: neighbor(-1, 1),
+    s: neighbor(-1, 0),
+    sw: neighbor(-1, -1),
+    w: neighbor(0, -1),
+    nw: neighbor(1, -1)
+  };
+};
+
+/**
+ * Calculates the number of degrees a given distance is at a given latitude.
+ *
+ * @param {number} distance The distance to convert.
+ * @param {number} latitude The latitude at which to calculate.
+ * @return {number} The number of degrees the distance corresponds to.
+ */
+var metersToLongitudeDegrees = function(distance, latitude) {
+  var radians = degreesToRadians(latitude);
+  var num = Math.cos(radians)*g_EARTH_EQ_RADIUS*Math.PI/180;
+  var denom = 1/Math.sqrt(1-g_E2*Math.sin(radians)*Math.sin(radians));
+  var deltaDeg = num*denom;
+  if (deltaDeg  < g_EPSILON) {
+    return distance > 0 ? 360 : 0;
+  }
+  else {
+    return Math.min(360, distance/deltaDeg);
+  }
+};
+
+/**
+ * Calculates the bits necessary to reach a given resolution, in meters, for the longitude at a
+ * given latitude.
+ *
+ * @param {number} resolution The desired resolution.
+ * @param {number} latitude The latitude used in the conversion.
+ * @return {number} The bits necessary to reach a given resolution, in meters.
+ */
+var longitudeBitsForResolution = function(resolution, latitude) {
+  var degs = metersToLongitudeDegrees(resolution, latitude);
+  return (Math.abs(degs) > 0.000001) ?  Math.max(1, Math.log2(360/degs)) : 1;
+};
+
+/**
+ * Calculates the bits necessary to reach a given resolution, in meters, for the latitude.
+ *
+ * @param {number} resolution The bits necessary to reach a given resolution, in meters.
+ */
+var latitudeBitsForResolution = function(resolution) {
+  return Math.min(Math.log2(g_EARTH_MERI_CIRCUMFERENCE/2/resolution), g_MAXIMUM_BITS_PRECISION);
+};
+
+/**
+ * Wraps the longitude to [-180,180].
+ *
+ * @param {number} longitude The longitude to wrap.
+ * @return {number} longitude The resulting longitude.
+ */
+var wrapLongitude = function(longitude) {
+  if (longitude <= 180 && longitude >= -180) {
+    return longitude;
+  }
+  var adjusted = longitude + 180;
+  if (adjusted > 0) {
+    return (adjusted % 360) - 180;
+  }
+  else {
+    return 180 - (-adjusted % 360);
+  }
+};
+
+/**
+ * Calculates the maximum number of bits of a jeohash to get a bounding box that is larger than a
+ * given size at the given coordinate.
+ *
+ * @param {Array.<number>} coordinate The coordinate as a [latitude, longitude] pair.
+ * @param {number} size The size of the bounding box.
+ * @return {number} The number of bits necessary for the jeohash.
+ */
+var boundingBoxBits = function(coordinate, size) {
+  var latDeltaDegrees = size/g_METERS_PER_DEGREE_LATITUDE;
+  var latitudeNorth = Math.min(90, coordinate[0] + latDeltaDegrees);
+  var latitudeSouth = Math.max(-90, coordinate[0] - latDeltaDegrees);
+  var bitsLat = Math.floor(latitudeBitsForResolution(size))*2;
+  var bitsLongNorth = Math.floor(longitudeBitsForResolution(size, latitudeNorth))*2-1;
+  var bitsLongSouth = Math.floor(longitudeBitsForResolution(size, latitudeSouth))*2-1;
+  return Math.min(bitsLat, bitsLongNorth, bitsLongSouth, g_MAXIMUM_BITS_PRECISION);
+};
+
+/**
+ * Calculates eight points on the bounding box and the center of a given circle. At least one
+ * jeohash of these nine coordinates, truncated to a precision of at most radius, are guaranteed
+ * to be prefixes of any jeohash that lies within the circle.
+ *
+ * @param {Array.<number>} center The center given as [latitude, longitude].
+ * @param {number} radius The radius of the circle.
+ * @return {Array.<Array.<number>>} The eight bounding box points.
+ */
+var boundingBoxCoordinates = function(center, radius) {
+  var latDegrees = radius/g_METERS_PER_DEGREE_LATITUDE;
+  var latitudeNorth = Math.min(90, center[0] + latDegrees);
+  var latitudeSouth = Math.max(-90, center[0] - latDegrees);
+  var longDegsNorth = metersToLongitudeDegrees(radius, latitudeNorth);
+  var longDegsSouth = metersToLongitudeDegrees(radius, latitudeSouth);
+  var longDegs = Math.max(longDegsNorth, longDegsSouth);
+  return [
+    [center[0], center[1]],
+    [center[0], wrapLongitude(center[1] - longDegs)],
+    [center[0], wrapLongitude(center[1] + longDegs)],
+    [latitudeNorth, center[1]],
+    [latitudeNorth, wrapLongitude(center[1] - longDegs)],
+    [latitudeNorth, wrapLongitude(center[1] + longDegs)],
+    [latitudeSouth, center[1]],
+    [latitudeSouth, wrapLongitude(center[1] - longDegs)],
+    [latitudeSouth, wrapLongitude(center[1] + longDegs)]
+  ];
+};
+
+/**
+ * Calculates the bounding box query for a jeohash with x bits precision.
+ *
+ * @param {string} jeohash The jeohash whose bounding box query to generate.
+ * @param {number} bits The number of bits of precision.
+ * @return {Array.<string>} A [start, end] pair of jeohashes.
+ */
+var jeohashQuery = function(jeohash, bits) {
+  validateJeohash(jeohash);
+  var precision = Math.ceil(bits/g_BITS_PER_CHAR);
+  if (jeohash.length < precision) {
+    return [jeohash, jeohash+"~"];
+  }
+  jeohash = jeohash.substring(0, precision);
+  var base = jeohash.substring(0, jeohash.length - 1);
   var lastValue = g_BASE32.indexOf(jeohash.charAt(jeohash.length - 1));
   var significantBits = bits - (base.length*g_BITS_PER_CHAR);
   var unusedBits = (g_BITS_PER_CHAR - significantBits);
@@ -388,27 +1187,322 @@ var jeohashQuery = function(jeohash, bits) {
   if (endValue > 31) {
     return [base+g_BASE32[startValue], base+"~"];
   }
-  else {
-    return [base+g_BASE32[startValue], base+g_BASE32[endValue]];
+  else {
+    return [base+g_BASE32[startValue], base+g_BASE32[endValue]];
+  }
+};
+
+/**
+ * Calculates the parts of a query which are not covered by any of the given other queries. Queries
+ * are treated as half-open ranges since the end of a query is the jeohash prefix of the next cell.
+ *
+ * @param {Array.<string>} query The query as a [start, end] pair.
+ * @param {Array.<Array.<string>>} others The queries to subtract, as [start, end] pairs.
+ * @return {Array.<Array.<string>>} The remaining parts of the query, as [start, end] pairs.
+ */
+var jeohashQueryDifference = function(query, others) {
+  var remaining = [query];
+  others.forEach(function(other) {
+    var next = [];
+    remaining.forEach(function(range) {
+      if (other[1] <= range[0] || other[0] >= range[1]) {
+        next.push(range);
+        return;
+      }
+      if (other[0] > range[0]) {
+        next.push([range[0], other[0]]);
+      }
+      if (other[1] < range[1]) {
+        next.push([other[1], range[1]]);
+      }
+    });
+    remaining = next;
+  });
+  return remaining;
+};
+
+/**
+ * Calculates the deduplicated set of queries for the jeohashes of the given coordinates, truncated to
+ * the given number of bits. The bits are capped at the precision of the stored jeohashes, since a query
+ * with longer prefixes would not match any of them.
+ *
+ * @param {Array.<Array.<number>>} coordinates The coordinates given as [latitude, longitude] pairs.
+ * @param {number} queryBits The number of bits of precision.
+ * @param {number=} precision The length of the stored jeohashes. If no precision is specified, the global
+ * default is used.
+ * @return {Array.<Array.<string>>} An array of jeohashes containing a [start, end] pair.
+ */
+var jeohashQueriesForCoordinates = function(coordinates, queryBits, precision) {
+  queryBits = Math.min(queryBits, (precision || g_GEOHASH_PRECISION)*g_BITS_PER_CHAR);
+  var jeohashPrecision = Math.ceil(queryBits/g_BITS_PER_CHAR);
+  var queries = coordinates.map(function(coordinate) {
+    return jeohashQuery(encodeJeohash(coordinate, jeohashPrecision), queryBits);
+  });
+  // remove duplicates
+  return queries.filter(function(query, index) {
+    return !queries.some(function(other, otherIndex) {
+      return index > otherIndex && query[0] === other[0] && query[1] === other[1];
+    });
+  });
+};
+
+/**
+ * Calculates a set of queries to fully contain a given circle. A query is a [start, end] pair
+ * where any jeohash is guaranteed to be lexiographically larger then start and smaller than end.
+ *
+ * @param {Array.<number>} center The center given as [latitude, longitude] pair.
+ * @param {number} radius The radius of the circle.
+ * @param {number=} precision The length of the stored jeohashes. If no precision is specified, the global
+ * default is used.
+ * @return {Array.<Array.<string>>} An array of jeohashes containing a [start, end] pair.
+ */
+var jeohashQueries = function(center, radius, precision) {
+  validateLocation(center);
+  var queryBits = Math.max(1, boundingBoxBits(center, radius));
+  var coordinates = boundingBoxCoordinates(center, radius);
+  return jeohashQueriesForCoordinates(coordinates, queryBits, precision);
+};
+
+/**
+ * Returns the number of degrees of longitude spanned by the given bounds, taking bounds which
+ * cross the antimeridian into account.
+ *
+ * @param {Array.<Array.<number>>} bounds The bounds given as [[south, west], [north, east]].
+ * @return {number} The longitude span of the bounds, in degrees.
+ */
+var boundsLongitudeSpan = function(bounds) {
+  var span = bounds[1][1] - bounds[0][1];
+  return (span < 0) ? span + 360 : span;
+};
+
+/**
+ * Calculates the center of the given bounds.
+ *
+ * @param {Array.<Array.<number>>} bounds The bounds given as [[south, west], [north, east]].
+ * @return {Array.<number>} The center of the bounds as [latitude, longitude] pair.
+ */
+var boundsCenter = function(bounds) {
+  return [
+    (bounds[0][0] + bounds[1][0]) / 2,
+    wrapLongitude(bounds[0][1] + boundsLongitudeSpan(bounds) / 2)
+  ];
+};
+
+/**
+ * Checks if the given location lies within the given bounds. Bounds whose west longitude is greater
+ * than their east longitude are treated as crossing the antimeridian.
+ *
+ * @param {Array.<Array.<number>>} bounds The bounds given as [[south, west], [north, east]].
+ * @param {Array.<number>} location The location as [latitude, longitude] pair.
+ * @return {boolean} Returns true if the location lies within the bounds.
+ */
+var boundsContainLocation = function(bounds, location) {
+  if (location[0] < bounds[0][0] || location[0] > bounds[1][0]) {
+    return false;
+  }
+  if (bounds[0][1] <= bounds[1][1]) {
+    return (location[1] >= bounds[0][1] && location[1] <= bounds[1][1]);
   }
+  return (location[1] >= bounds[0][1] || location[1] <= bounds[1][1]);
 };
 
 /**
- * Calculates a set of queries to fully contain a given circle. A query is a [start, end] pair
- * where any jeohash is guaranteed to be lexiographically larger then start and smaller than end.
+ * Calculates a set of queries to fully contain the given bounds. The jeohash cells are chosen to be
+ * at least half as tall and half as wide as the bounds, so the jeohashes of the corners, the edge
+ * midpoints and the center of the bounds are guaranteed to cover every location within them.
  *
- * @param {Array.<number>} center The center given as [latitude, longitude] pair.
- * @param {number} radius The radius of the circle.
+ * @param {Array.<Array.<number>>} bounds The bounds given as [[south, west], [north, east]].
+ * @param {number=} precision The length of the stored jeohashes. If no precision is specified, the global
+ * default is used.
  * @return {Array.<Array.<string>>} An array of jeohashes containing a [start, end] pair.
  */
-var jeohashQueries = function(center, radius) {
-  validateLocation(center);
-  var queryBits = Math.max(1, boundingBoxBits(center, radius));
-  var jeohashPrecision = Math.ceil(queryBits/g_BITS_PER_CHAR);
-  var coordinates = boundingBoxCoordinates(center, radius);
-  var queries = coordinates.map(function(coordinate) {
-    return jeohashQuery(encodeJeohash(coordinate, jeohashPrecision), queryBits);
+var jeohashQueriesForBounds = function(bounds, precision) {
+  validateBounds(bounds);
+  var south = bounds[0][0];
+  var north = bounds[1][0];
+  var west = bounds[0][1];
+  var east = bounds[1][1];
+  var center = boundsCenter(bounds);
+
+  // Longitude degrees are widest at the latitude of the bounds closest to the equator
+  var equatorialLatitude = (south <= 0 && north >= 0) ? 0 : Math.min(Math.abs(south), Math.abs(north));
+  var halfHeight = (north - south) / 2 * g_EARTH_MERI_CIRCUMFERENCE / 360;
+  var halfWidth = boundsLongitudeSpan(bounds) / 2 / metersToLongitudeDegrees(1, equatorialLatitude);
+  var queryBits = Math.max(1, boundingBoxBits(center, Math.max(halfHeight, halfWidth)));
+
+  var coordinates = [];
+  [south, center[0], north].forEach(function(latitude) {
+    [west, center[1], east].forEach(function(longitude) {
+      coordinates.push([latitude, longitude]);
+    });
+  });
+  return jeohashQueriesForCoordinates(coordinates, queryBits, precision);
+};
+
+/**
+ * Calculates the bounds of the outer ring of the given polygon. Polygons are not expected to cross the
+ * antimeridian.
+ *
+ * @param {Array} polygon The polygon given as a ring or an array of rings.
+ * @return {Array.<Array.<number>>} The bounds of the polygon as [[south, west], [north, east]].
+ */
+var polygonBounds = function(polygon) {
+  var outerRing = polygonRings(polygon)[0];
+  var bounds = [[90, 180], [-90, -180]];
+  outerRing.forEach(function(vertex) {
+    bounds[0][0] = Math.min(bounds[0][0], vertex[0]);
+    bounds[0][1] = Math.min(bounds[0][1], vertex[1]);
+    bounds[1][0] = Math.max(bounds[1][0], vertex[0]);
+    bounds[1][1] = Math.max(bounds[1][1], vertex[1]);
+  });
+  return bounds;
+};
+
+/**
+ * Checks if the given location lies within the given ring, using the even-odd ray casting rule.
+ *
+ * @param {Array.<Array.<number>>} ring The ring given as an array of [latitude, longitude] vertices.
+ * @param {Array.<number>} location The location as [latitude, longitude] pair.
+ * @return {boolean} Returns true if the location lies within the ring.
+ */
+var ringContainsLocation = function(ring, location) {
+  var isInside = false;
+  for (var i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    var crossesLatitude = (ring[i][0] > location[0]) !== (ring[j][0] > location[0]);
+    if (crossesLatitude) {
+      var intersectionLongitude = ring[j][1] + (location[0] - ring[j][0]) * (ring[i][1] - ring[j][1]) / (ring[i][0] - ring[j][0]);
+      if (location[1] < intersectionLongitude) {
+        isInside = !isInside;
+      }
+    }
+  }
+  return isInside;
+};
+
+/**
+ * Checks if the given location lies within the given polygon, that is within its outer ring and not
+ * within any of its holes.
+ *
+ * @param {Array} polygon The polygon given as a ring or an array of rings.
+ * @param {Array.<number>} location The location as [latitude, longitude] pair.
+ * @return {boolean} Returns true if the location lies within the polygon.
+ */
+var polygonContainsLocation = function(polygon, location) {
+  var rings = polygonRings(polygon);
+  if (!ringContainsLocation(rings[0], location)) {
+    return false;
+  }
+  return !rings.slice(1).some(function(hole) {
+    return ringContainsLocation(hole, location);
   });
+};
+
+/**
+ * Calculates the initial bearing, in radians, of the great circle path from one location to another.
+ *
+ * @param {Array.<number>} from The [latitude, longitude] pair of the start location.
+ * @param {Array.<number>} to The [latitude, longitude] pair of the end location.
+ * @return {number} The initial bearing, in radians.
+ */
+var initialBearing = function(from, to) {
+  var fromLatitude = degreesToRadians(from[0]);
+  var toLatitude = degreesToRadians(to[0]);
+  var lonDelta = degreesToRadians(to[1] - from[1]);
+  var y = Math.sin(lonDelta) * Math.cos(toLatitude);
+  var x = Math.cos(fromLatitude) * Math.sin(toLatitude) - Math.sin(fromLatitude) * Math.cos(toLatitude) * Math.cos(lonDelta);
+  return Math.atan2(y, x);
+};
+
+/**
+ * Calculates the distance, in kilometers, from a location to the great circle segment between two
+ * vertices. Locations whose perpendicular does not fall onto the segment are measured to the closer vertex.
+ *
+ * @param {Array.<number>} location The location as [latitude, longitude] pair.
+ * @param {Array.<number>} start The [latitude, longitude] pair of the start of the segment.
+ * @param {Array.<number>} end The [latitude, longitude] pair of the end of the segment.
+ * @return {number} The distance from the location to the segment, in kilometers.
+ */
+var distanceToSegment = function(location, start, end) {
+  var startDistance = JeoFire.distance(start, location);
+  var segmentLength = JeoFire.distance(start, end);
+  if (segmentLength < g_EPSILON || startDistance < g_EPSILON) {
+    return startDistance;
+  }
+
+  var angularStartDistance = startDistance / g_EARTH_MEAN_RADIUS_KM;
+  var bearingDelta = initialBearing(start, location) - initialBearing(start, end);
+  if (Math.cos(bearingDelta) < 0) {
+    // The location lies behind the start of the segment
+    return startDistance;
+  }
+
+  var crossTrack = Math.asin(Math.sin(angularStartDistance) * Math.sin(bearingDelta));
+  var alongTrack = Math.acos(Math.max(-1, Math.min(1, Math.cos(angularStartDistance) / Math.cos(crossTrack))));
+  if (alongTrack * g_EARTH_MEAN_RADIUS_KM > segmentLength) {
+    // The location lies beyond the end of the segment
+    return JeoFire.distance(end, location);
+  }
+  return Math.abs(crossTrack) * g_EARTH_MEAN_RADIUS_KM;
+};
+
+/**
+ * Calculates the distance, in kilometers, from a location to the closest segment of a path.
+ *
+ * @param {Array.<Array.<number>>} path The path given as an array of [latitude, longitude] vertices.
+ * @param {Array.<number>} location The location as [latitude, longitude] pair.
+ * @return {Object} An object containing the distance to the closest segment and the index of that segment,
+ * where segment i runs from vertex i to vertex i+1.
+ */
+var distanceToPath = function(path, location) {
+  var closest = {
+    distance: Infinity,
+    segment: null
+  };
+  for (var i = 0; i < path.length - 1; ++i) {
+    var distance = distanceToSegment(location, path[i], path[i + 1]);
+    if (distance < closest.distance) {
+      closest.distance = distance;
+      closest.segment = i;
+    }
+  }
+  return closest;
+};
+
+/**
+ * Calculates the bounds of the given path, expanded by the given buffer. Segments are assumed to be short
+ * enough that their great circle paths stay within the bounds of their vertices.
+ *
+ * @param {Array.<Array.<number>>} path The path given as an array of [latitude, longitude] vertices.
+ * @param {number} buffer The buffer around the path, in kilometers.
+ * @return {Array.<Array.<number>>} The expanded bounds as [[south, west], [north, east]].
+ */
+var corridorBounds = function(path, buffer) {
+  var pathBounds = polygonBounds(path);
+  var latDegrees = buffer*1000/g_METERS_PER_DEGREE_LATITUDE;
+  var south = Math.max(-90, pathBounds[0][0] - latDegrees);
+  var north = Math.min(90, pathBounds[1][0] + latDegrees);
+  var longDegs = metersToLongitudeDegrees(buffer*1000, Math.max(Math.abs(south), Math.abs(north)));
+  if (pathBounds[1][1] - pathBounds[0][1] + 2*longDegs >= 360) {
+    return [[south, -180], [north, 180]];
+  }
+  return [[south, wrapLongitude(pathBounds[0][1] - longDegs)], [north, wrapLongitude(pathBounds[1][1] + longDegs)]];
+};
+
+/**
+ * Calculates a set of queries to fully contain the given corridor, made up of the queries covering the
+ * buffered bounds of each of its segments.
+ *
+ * @param {Array.<Array.<number>>} path The path given as an array of [latitude, longitude] vertices.
+ * @param {number} buffer The buffer around the path, in kilometers.
+ * @param {number=} precision The length of the stored jeohashes. If no precision is specified, the global
+ * default is used.
+ * @return {Array.<Array.<string>>} An array of jeohashes containing a [start, end] pair.
+ */
+var jeohashQueriesForCorridor = function(path, buffer, precision) {
+  var queries = [];
+  for (var i = 0; i < path.length - 1; ++i) {
+    queries = queries.concat(jeohashQueriesForBounds(corridorBounds([path[i], path[i + 1]], buffer), precision));
+  }
   // remove duplicates
   return queries.filter(function(query, index) {
     return !queries.some(function(other, otherIndex) {
@@ -418,38 +1512,503 @@ var jeohashQueries = function(center, radius) {
 };
 
 /**
- * Encodes a location and jeohash as a JeoFire object.
+ * Calculates a set of queries to fully contain the union of the given circles. The circles are planned
+ * from the largest to the smallest radius, and only the parts of each circle's queries which are not
+ * covered by the queries planned so far are added, so no jeohash range is read twice.
+ *
+ * @param {Array.<Object>} circles The circles given as objects containing a center [latitude, longitude]
+ * pair and a radius, in kilometers.
+ * @param {number=} precision The length of the stored jeohashes. If no precision is specified, the global
+ * default is used.
+ * @return {Array.<Array.<string>>} An array of jeohashes containing a [start, end] pair.
+ */
+var jeohashQueriesForCircles = function(circles, precision) {
+  var largestFirst = circles.slice().sort(function(a, b) {
+    return b.radius - a.radius;
+  });
+  var queries = [];
+  largestFirst.forEach(function(circle) {
+    jeohashQueries(circle.center, circle.radius*1000, precision).forEach(function(query) {
+      queries = queries.concat(jeohashQueryDifference(query, queries));
+    });
+  });
+  return queries;
+};
+
+/**
+ * Calculates the location signifying the center of the area specified by the given query criteria. For
+ * bounds, this is the center of the bounds. For a polygon or corridor, this is the center of the bounds of
+ * the polygon or path. For circles, this is the center of the bounds of their centers.
+ *
+ * @param {Object} queryCriteria The criteria which specifies the query's center and radius, or its bounds,
+ * polygon, corridor or circles.
+ * @return {Array.<number>} The center as [latitude, longitude] pair.
+ */
+var criteriaCenter = function(queryCriteria) {
+  if (typeof queryCriteria.bounds !== "undefined") {
+    return boundsCenter(queryCriteria.bounds);
+  }
+  else if (typeof queryCriteria.polygon !== "undefined") {
+    return boundsCenter(polygonBounds(queryCriteria.polygon));
+  }
+  else if (typeof queryCriteria.corridor !== "undefined") {
+    return boundsCenter(polygonBounds(queryCriteria.corridor.path));
+  }
+  else if (typeof queryCriteria.circles !== "undefined") {
+    return boundsCenter(polygonBounds(queryCriteria.circles.map(function(circle) {
+      return circle.center;
+    })));
+  }
+  return queryCriteria.center;
+};
+
+/**
+ * Calculates a set of queries to fully contain the area specified by the given query criteria.
+ *
+ * @param {Object} queryCriteria The criteria which specifies the query's center and radius, or its bounds,
+ * polygon, corridor or circles.
+ * @param {number=} precision The length of the stored jeohashes. If no precision is specified, the global
+ * default is used.
+ * @return {Array.<Array.<string>>} An array of jeohashes containing a [start, end] pair.
+ */
+var jeohashQueriesForCriteria = function(queryCriteria, precision) {
+  if (typeof queryCriteria.bounds !== "undefined") {
+    return jeohashQueriesForBounds(queryCriteria.bounds, precision);
+  }
+  else if (typeof queryCriteria.polygon !== "undefined") {
+    return jeohashQueriesForBounds(polygonBounds(queryCriteria.polygon), precision);
+  }
+  else if (typeof queryCriteria.corridor !== "undefined") {
+    return jeohashQueriesForCorridor(queryCriteria.corridor.path, queryCriteria.corridor.buffer, precision);
+  }
+  else if (typeof queryCriteria.circles !== "undefined") {
+    return jeohashQueriesForCircles(queryCriteria.circles, precision);
+  }
+  return jeohashQueries(queryCriteria.center, queryCriteria.radius*1000, precision);
+};
+
+/**
+ * Determines whether the given location lies within the area specified by the given query criteria and
+ * its distance from the area's center. For a corridor, the distance is measured to the closest segment of
+ * the path and the index of that segment is added to the details as "segment". For circles, the location is
+ * within the area if it lies within any of the circles, the distance is measured to the nearest center of
+ * those circles, or of all circles if it lies within none, and the indices of those circles are added to the
+ * details as "circles".
+ *
+ * @param {Object} queryCriteria The criteria which specifies the query's center and radius, or its bounds,
+ * polygon, corridor or circles.
+ * @param {Array.<number>} location The location as [latitude, longitude] pair.
+ * @return {Object} An object containing the distance, in kilometers, whether the location isInQuery, and
+ * additional details on the match.
+ */
+var matchLocationToCriteria = function(queryCriteria, location) {
+  var distance, isInQuery;
+  var details = {};
+  if (typeof queryCriteria.corridor !== "undefined") {
+    var closest = distanceToPath(queryCriteria.corridor.path, location);
+    distance = closest.distance;
+    isInQuery = (distance <= queryCriteria.corridor.buffer);
+    details.segment = closest.segment;
+  }
+  else if (typeof queryCriteria.circles !== "undefined") {
+    var distances = queryCriteria.circles.map(function(circle) {
+      return JeoFire.distance(location, circle.center);
+    });
+    details.circles = [];
+    distances.forEach(function(circleDistance, index) {
+      if (circleDistance <= queryCriteria.circles[index].radius) {
+        details.circles.push(index);
+      }
+    });
+    isInQuery = (details.circles.length > 0);
+    distance = Math.min.apply(null, isInQuery ? details.circles.map(function(index) {
+      return distances[index];
+    }) : distances);
+  }
+  else {
+    distance = JeoFire.distance(location, criteriaCenter(queryCriteria));
+    if (typeof queryCriteria.bounds !== "undefined") {
+      isInQuery = boundsContainLocation(queryCriteria.bounds, location);
+    }
+    else if (typeof queryCriteria.polygon !== "undefined") {
+      isInQuery = polygonContainsLocation(queryCriteria.polygon, location);
+    }
+    else {
+      isInQuery = (distance <= queryCriteria.radius);
+    }
+  }
+  return {
+    distance: distance,
+    isInQuery: isInQuery,
+    details: details
+  };
+};
+
+/**
+ * Determines whether the given location passes the given query filter. A predicate is called with the
+ * location's key, [latitude, longitude] pair, uid, complete flag and data. An object matches locations whose
+ * complete flag equals its complete attribute, where a missing flag counts as false, and whose uid is its uid
+ * attribute or one of them.
+ *
+ * @param {?(function|Object|undefined)} filter The filter, or null or undefined to let every location pass.
+ * @param {string} key The key of the location.
+ * @param {Array.<number>} location The location as [latitude, longitude] pair.
+ * @param {?string} uid The uid stored with the location.
+ * @param {?boolean} complete The complete flag stored with the location.
+ * @param {*=} data The data stored with the location.
+ * @return {boolean} Whether the location passes the filter.
+ */
+var locationPassesFilter = function(filter, key, location, uid, complete, data) {
+  if (typeof filter === "undefined" || filter === null) {
+    return true;
+  }
+  else if (typeof filter === "function") {
+    return !!filter(key, location, uid, complete, data);
+  }
+
+  if (typeof filter.complete !== "undefined" && (complete === true) !== filter.complete) {
+    return false;
+  }
+  if (typeof filter.uid !== "undefined") {
+    var uids = Array.isArray(filter.uid) ? filter.uid : [filter.uid];
+    return uids.indexOf(uid) !== -1;
+  }
+  return true;
+};
+
+/**
+ * Determines whether a location with the given timestamp is older than the given maximum age, according to
+ * this client's clock. Locations without a timestamp, which were written before timestamps were stored, never
+ * expire.
+ *
+ * @param {?number} timestamp The server timestamp, in milliseconds since the epoch, stored with the location.
+ * @param {?(number|undefined)} maxAge The maximum age, in milliseconds, or null or undefined for no maximum age.
+ * @return {boolean} Whether the location has expired.
+ */
+var locationHasExpired = function(timestamp, maxAge) {
+  if (typeof maxAge === "undefined" || maxAge === null || typeof timestamp !== "number") {
+    return false;
+  }
+  return Date.now() - timestamp > maxAge;
+};
+
+/**
+ * Calculates the distance, in kilometers, from a location to the closest point within the given bounds.
+ *
+ * @param {Array.<number>} location The location as [latitude, longitude] pair.
+ * @param {Array.<Array.<number>>} bounds The bounds given as [[south, west], [north, east]].
+ * @return {number} The distance to the bounds, in kilometers, or 0 if the location lies within them.
+ */
+var distanceToBounds = function(location, bounds) {
+  var south = bounds[0][0];
+  var north = bounds[1][0];
+  if (boundsContainLocation([[-90, bounds[0][1]], [90, bounds[1][1]]], location)) {
+    // The closest point lies on the same meridian as the location
+    return JeoFire.distance(location, [Math.max(south, Math.min(north, location[0])), location[1]]);
+  }
+
+  // Otherwise, the closest point lies on the closer of the west and east edges, where the great circle
+  // through the location meets the edge at a right angle
+  var westDelta = Math.abs(wrapLongitude(location[1] - bounds[0][1]));
+  var eastDelta = Math.abs(wrapLongitude(location[1] - bounds[1][1]));
+  var edgeLongitude = (westDelta <= eastDelta) ? bounds[0][1] : bounds[1][1];
+  var longitudeDelta = degreesToRadians(Math.min(westDelta, eastDelta));
+  var closestLatitude;
+  if (Math.cos(longitudeDelta) <= 0) {
+    closestLatitude = (location[0] >= 0) ? 90 : -90;
+  }
+  else {
+    closestLatitude = Math.atan(Math.tan(degreesToRadians(location[0])) / Math.cos(longitudeDelta)) * 180 / Math.PI;
+  }
+  return JeoFire.distance(location, [Math.max(south, Math.min(north, closestLatitude)), edgeLongitude]);
+};
+
+/**
+ * Calculates the jeohashes of every cell of the given precision which is touched by the given circle.
+ * Throws an error if the circle's bounding box spans more than g_MAX_COVERING_CELLS cells of that precision.
+ *
+ * @param {Array.<number>} center The center of the circle as [latitude, longitude] pair.
+ * @param {number} radius The radius of the circle, in kilometers.
+ * @param {number} precision The length of the jeohashes to return.
+ * @return {Array.<string>} The jeohashes of the cells touched by the circle.
+ */
+var jeohashesCoveringCircle = function(center, radius, precision) {
+  validateLocation(center);
+  if (typeof radius !== "number" || isNaN(radius) || radius < 0) {
+    throw new Error("radius must be a number greater than or equal to 0");
+  }
+  // Use encodeJeohash() to validate the precision
+  encodeJeohash(center, precision);
+
+  // Calculate the circle's bounding box
+  var angularRadius = radius / g_EARTH_MEAN_RADIUS_KM;
+  var latitudeDelta = angularRadius * 180 / Math.PI;
+  var south = Math.max(-90, center[0] - latitudeDelta);
+  var north = Math.min(90, center[0] + latitudeDelta);
+  var west = -180;
+  var east = 180;
+  var sinRatio = Math.sin(angularRadius) / Math.cos(degreesToRadians(center[0]));
+  if (south > -90 && north < 90 && angularRadius < Math.PI / 2 && sinRatio < 1) {
+    var longitudeDelta = Math.asin(sinRatio) * 180 / Math.PI;
+    west = center[1] - longitudeDelta;
+    east = center[1] + longitudeDelta;
+  }
+
+  // Walk the grid of cells of the given precision over the bounding box
+  var bits = precision * g_BITS_PER_CHAR;
+  var latitudeSize = 180 / Math.pow(2, Math.floor(bits / 2));
+  var longitudeSize = 360 / Math.pow(2, Math.ceil(bits / 2));
+  var firstRow = Math.floor((south + 90) / latitudeSize);
+  var lastRow = Math.min(Math.floor((north + 90) / latitudeSize), Math.pow(2, Math.floor(bits / 2)) - 1);
+  var columns = Math.pow(2, Math.ceil(bits / 2));
+  var firstColumn = Math.floor((west + 180) / longitudeSize);
+  var lastColumn = Math.floor((east + 180) / longitudeSize);
+  if ((lastRow - firstRow + 1) * (lastColumn - firstColumn + 1) > g_MAX_COVERING_CELLS) {
+    throw new Error("A circle with a radius of " + radius + " km covers more than " + g_MAX_COVERING_CELLS +
+      " cells of precision " + precision + "; use a lower precision");
+  }
+
+  // Cells are keyed by jeohash, since the columns of a bounding box which wraps around the globe can repeat
+  var jeohashes = {};
+  for (var row = firstRow; row <= lastRow; ++row) {
+    var cellSouth = row * latitudeSize - 90;
+    for (var column = firstColumn; column <= lastColumn; ++column) {
+      var cellWest = ((column % columns + columns) % columns) * longitudeSize - 180;
+      var cellBounds = [[cellSouth, cellWest], [cellSouth + latitudeSize, cellWest + longitudeSize]];
+      if (distanceToBounds(center, cellBounds) <= radius) {
+        jeohashes[encodeJeohash([cellSouth + latitudeSize / 2, cellWest + longitudeSize / 2], precision)] = true;
+      }
+    }
+  }
+  return Object.keys(jeohashes);
+};
+
+/**
+ * Simplifies a trail via the Douglas-Peucker algorithm. Points which are within the tolerance of the simplified
+ * trail are dropped; the first and last points are always kept.
+ *
+ * @param {Array.<Object>} trail The trail to simplify, an array of { location, timestamp } points.
+ * @param {number} tolerance The maximum distance, in meters, from a dropped point to the simplified trail.
+ * @return {Array.<Object>} The points of the simplified trail, in their original order.
+ */
+var simplifyTrail = function(trail, tolerance) {
+  validateTrail(trail);
+  if (typeof tolerance !== "number" || isNaN(tolerance) || tolerance < 0) {
+    throw new Error("tolerance must be a number greater than or equal to 0");
+  }
+  if (trail.length < 3) {
+    return trail.slice();
+  }
+
+  var keep = trail.map(function() {
+    return false;
+  });
+  keep[0] = true;
+  keep[trail.length - 1] = true;
+
+  // Split the ranges at their farthest point until every point of a range is within the tolerance
+  var ranges = [[0, trail.length - 1]];
+  while (ranges.length > 0) {
+    var range = ranges.pop();
+    var farthest = null;
+    var farthestDistance = 0;
+    for (var i = range[0] + 1; i < range[1]; ++i) {
+      var distance = distanceToSegment(trail[i].location, trail[range[0]].location, trail[range[1]].location) * 1000;
+      if (distance > farthestDistance) {
+        farthest = i;
+        farthestDistance = distance;
+      }
+    }
+    if (farthest !== null && farthestDistance > tolerance) {
+      keep[farthest] = true;
+      ranges.push([range[0], farthest], [farthest, range[1]]);
+    }
+  }
+
+  return trail.filter(function(point, i) {
+    return keep[i];
+  });
+};
+
+/**
+ * Calculates the distance travelled along a trail, its duration and its average and maximum speed. The
+ * maximum speed is the fastest speed between two consecutive points with different timestamps.
+ *
+ * @param {Array.<Object>} trail The trail to measure, an array of { location, timestamp } points.
+ * @return {Object} An object containing the distance, in kilometers, the duration, in milliseconds, and the
+ * averageSpeed and maxSpeed, in kilometers per hour, of the trail. The speeds are 0 if the duration is 0.
+ */
+var trailStats = function(trail) {
+  validateTrail(trail);
+
+  var distance = 0;
+  var maxSpeed = 0;
+  for (var i = 1; i < trail.length; ++i) {
+    var legDistance = JeoFire.distance(trail[i - 1].location, trail[i].location);
+    var legDuration = trail[i].timestamp - trail[i - 1].timestamp;
+    distance += legDistance;
+    if (legDuration > 0) {
+      maxSpeed = Math.max(maxSpeed, legDistance / (legDuration / 3600000));
+    }
+  }
+
+  var duration = (trail.length > 0) ? trail[trail.length - 1].timestamp - trail[0].timestamp : 0;
+  return {
+    distance: distance,
+    duration: duration,
+    averageSpeed: (duration > 0) ? distance / (duration / 3600000) : 0,
+    maxSpeed: maxSpeed
+  };
+};
+
+/**
+ * Splits a trail into alternating moving and stationary segments. A stationary segment is a run of points which
+ * stay within the radius of its first point for at least the minimum duration. Consecutive segments share their
+ * boundary point, so that the distance of the trail is fully covered by its moving segments.
+ *
+ * @param {Array.<Object>} trail The trail to split, an array of { location, timestamp } points.
+ * @param {Object=} options An optional object containing the radius, in meters, a stationary segment stays within
+ * (defaults to 50) and its minDuration, in milliseconds (defaults to 5 minutes).
+ * @return {Array.<Object>} The segments of the trail, each a { type, start, end, points } object where type is
+ * "moving" or "stationary" and start and end are the timestamps of its first and last points.
+ */
+var trailSegments = function(trail, options) {
+  validateTrail(trail);
+  if (typeof options === "undefined") {
+    options = {};
+  }
+  else if (typeof options !== "object" || options === null) {
+    throw new Error("options must be an object");
+  }
+
+  var keys = Object.keys(options);
+  for (var k = 0; k < keys.length; ++k) {
+    if (keys[k] !== "radius" && keys[k] !== "minDuration") {
+      throw new Error("Unexpected attribute '" + keys[k] + "' found in options");
+    }
+  }
+  ["radius", "minDuration"].forEach(function(attribute) {
+    if (typeof options[attribute] !== "undefined" &&
+        (typeof options[attribute] !== "number" || isNaN(options[attribute]) || options[attribute] < 0)) {
+      throw new Error(attribute + " must be a number greater than or equal to 0");
+    }
+  });
+  var radius = (typeof options.radius !== "undefined") ? options.radius : 50;
+  var minDuration = (typeof options.minDuration !== "undefined") ? options.minDuration : 300000;
+
+  var segments = [];
+  var addSegment = function(type, first, last) {
+    segments.push({
+      type: type,
+      start: trail[first].timestamp,
+      end: trail[last].timestamp,
+      points: trail.slice(first, last + 1)
+    });
+  };
+
+  var movingStart = 0;
+  var i = 0;
+  while (i < trail.length) {
+    var last = i;
+    while (last + 1 < trail.length && JeoFire.distance(trail[i].location, trail[last + 1].location) * 1000 <= radius) {
+      last++;
+    }
+
+    if (last > i && trail[last].timestamp - trail[i].timestamp >= minDuration) {
+      if (movingStart < i) {
+        addSegment("moving", movingStart, i);
+      }
+      addSegment("stationary", i, last);
+      movingStart = last;
+      i = last + 1;
+    } else {
+      i++;
+    }
+  }
+  if (movingStart < trail.length - 1 || (segments.length === 0 && trail.length > 0)) {
+    addSegment("moving", movingStart, trail.length - 1);
+  }
+
+  return segments;
+};
+
+/**
+ * Encodes a location and jeohash as a JeoFire object, along with a server timestamp of the write. The complete
+ * flag, uid and data are only stored when they are defined.
  *
  * @param {Array.<number>} location The location as [latitude, longitude] pair.
  * @param {string} jeohash The jeohash of the location.
+ * @param {boolean=} complete Whether the location is complete.
+ * @param {string=} uid The uid of the location.
+ * @param {*=} data The data payload of the location.
  * @return {Object} The location encoded as JeoFire object.
  */
-function encodeJeoFireObject(location, jeohash, complete, uid) {
+function encodeJeoFireObject(location, jeohash, complete, uid, data) {
   validateLocation(location);
   validateJeohash(jeohash);
-  return {
+  var jeoFireObj = {
     ".priority": jeohash,
     "g": jeohash,
     "l": location,
-    "c": complete,
-    "u": uid
+    "t": { ".sv": "timestamp" }
   };
+  if (typeof complete !== "undefined") {
+    jeoFireObj.c = complete;
+  }
+  if (typeof uid !== "undefined") {
+    jeoFireObj.u = uid;
+  }
+  if (typeof data !== "undefined") {
+    jeoFireObj.d = data;
+  }
+  return jeoFireObj;
 }
 
 /**
- * Decodes the location given as JeoFire object. Returns null if decoding fails.
+ * Decodes a JeoFire object to a location record, throwing an error if it does not contain a valid location and
+ * jeohash. Since earlier versions stored the complete flag and uid without validating them, the metadata is
+ * decoded leniently: a uid which is a number is converted to a string, and a missing or malformed uid, data or
+ * timestamp is decoded as null and a missing or malformed complete flag as false.
  *
  * @param {Object} jeoFireObj The location encoded as JeoFire object.
- * @return {?Array.<number>} location The location as [latitude, longitude] pair or null if
- * decoding fails.
+ * @return {Object} The location record, containing the location as [latitude, longitude] pair, its jeohash,
+ * uid, complete flag, data and the server timestamp of its last write, in milliseconds since the epoch.
  */
-// function decodeJeoFireObject(jeoFireObj) {
-//   if (jeoFireObj !== null && jeoFireObj.hasOwnProperty("l") && Array.isArray(jeoFireObj.l) && jeoFireObj.l.length === 2) {
-//     return jeoFireObj.l;
-//   } else {
-//     throw new Error("Unexpected JeoFire location object encountered: " + JSON.stringify(jeoFireObj));
-//   }
-// }
+function decodeJeoFireObject(jeoFireObj) {
+  var error;
+
+  if (typeof jeoFireObj !== "object" || jeoFireObj === null || Array.isArray(jeoFireObj)) {
+    error = "JeoFire object must be an object";
+  }
+  else {
+    try {
+      validateLocation(jeoFireObj.l);
+      validateJeohash(jeoFireObj.g);
+    } catch (e) {
+      error = e.message;
+    }
+  }
+
+  if (typeof error !== "undefined") {
+    throw new Error("Unexpected JeoFire location object encountered: " + JSON.stringify(jeoFireObj) + ": " + error);
+  }
+
+  var uid = null;
+  if (typeof jeoFireObj.u === "string") {
+    uid = jeoFireObj.u;
+  }
+  else if (typeof jeoFireObj.u === "number") {
+    uid = String(jeoFireObj.u);
+  }
+  return {
+    location: jeoFireObj.l,
+    jeohash: jeoFireObj.g,
+    uid: uid,
+    complete: jeoFireObj.c === true,
+    data: (typeof jeoFireObj.d !== "undefined") ? jeoFireObj.d : null,
+    timestamp: (typeof jeoFireObj.t === "number") ? jeoFireObj.t : null
+  };
+}
 
 /**
  * Returns the key of a Firebase snapshot across SDK versions.
@@ -468,3 +2027,29 @@ function encodeJeoFireObject(location, jeohash, complete, uid) {
    }
    return key;
  }
+
+/**
+ * Returns the parent of a Firebase reference across SDK versions.
+ *
+ * @param {Firebase} ref A Firebase reference.
+ * @return {Firebase|null} The parent of the reference, or null if it is the root.
+ */
+function getParent(ref) {
+  return (typeof ref.parent === "function") ? ref.parent() : ref.parent;
+}
+
+/**
+ * Returns the root of a Firebase reference and the path from the root to the reference.
+ *
+ * @param {Firebase} ref A Firebase reference.
+ * @return {Object} An object containing the root reference and the path as "/" separated string, which is
+ * empty if the reference is the root.
+ */
+function getPathFromRoot(ref) {
+  var path = [];
+  for (var key = getKey(ref); key !== null; key = getKey(ref)) {
+    path.unshift(key);
+    ref = getParent(ref);
+  }
+  return { root: ref, path: path.join("/") };
+}
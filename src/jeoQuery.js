@@ -4,40 +4,153 @@
  * @constructor
  * @this {JeoQuery}
  * @param {Firebase} firebaseRef A Firebase reference.
- * @param {Object} queryCriteria The criteria which specifies the query's center and radius.
+ * @param {Object} queryCriteria The criteria which specifies the query's center and radius, or its bounds,
+ * polygon, corridor or circles.
+ * @param {Object=} options An optional object containing the precision of the jeohashes stored by the JeoFire
+ * instance this query reads from, which defaults to 10, the debounceMs, in milliseconds, criteria updates are
+ * debounced for, which defaults to 0, and the clusterPrecision, the length of the jeohash prefixes the keys in this
+ * query are clustered by, which defaults to null to disable clustering.
  */
-var JeoQuery = function (firebaseRef, queryCriteria) {
+var JeoQuery = function (firebaseRef, queryCriteria, options) {
   /*********************/
   /*  PRIVATE METHODS  */
   /*********************/
   /**
    * Fires each callback for the provided eventType, passing it provided key's data.
    *
-   * @param {string} eventType The event type whose callbacks to fire. One of "key_entered", "key_exited", or "key_moved".
+   * @param {string} eventType The event type whose callbacks to fire. One of "key_entered", "key_exited", "key_moved",
+   * or "key_changed".
    * @param {string} key The key of the location for which to fire the callbacks.
    * @param {?Array.<number>} location The location as [latitude, longitude] pair
    * @param {?double} distanceFromCenter The distance from the center or null.
+   * @param {?Object} details Additional details on how the key matched this query, or null.
+   * @param {*=} data The data stored with the location.
    */
-  function _fireCallbacksForKey(eventType, key, location, uid, complete, distanceFromCenter) {
+  function _fireCallbacksForKey(eventType, key, location, uid, complete, distanceFromCenter, details, data) {
     _callbacks[eventType].forEach(function(callback) {
       if (typeof location === "undefined" || location === null) {
-        callback(key, null, null, null, null);
+        callback(key, null, null, null, null, null, null);
       }
       else {
-        callback(key, location, uid, complete, distanceFromCenter);
+        callback(key, location, uid, complete, distanceFromCenter, details, data);
       }
     });
   }
 
   /**
-   * Fires each callback for the "ready" event.
+   * Fires each callback for the "ready" event, passing it the current generation and criteria.
    */
   function _fireReadyEventCallbacks() {
     _callbacks.ready.forEach(function(callback) {
-      callback();
+      callback(_generation, _copyCriteria());
     });
   }
 
+  /**
+   * Returns a shallow copy of this query's criteria, so that callbacks cannot modify them.
+   *
+   * @return {Object} The copy of the criteria.
+   */
+  function _copyCriteria() {
+    var criteria = {};
+    Object.keys(_criteria).forEach(function(attribute) {
+      criteria[attribute] = _criteria[attribute];
+    });
+    return criteria;
+  }
+
+  /**
+   * Fires each callback for the provided cluster eventType, passing it the cluster's jeohash, count and centroid.
+   *
+   * @param {string} eventType The event type whose callbacks to fire. One of "cluster_added", "cluster_updated",
+   * or "cluster_removed".
+   * @param {string} jeohash The jeohash of the cluster's cell.
+   * @param {Object} cluster The cluster, containing its count and the sums of its locations' coordinates.
+   */
+  function _fireCallbacksForCluster(eventType, jeohash, cluster) {
+    var centroid = _clusterCentroid(cluster);
+    _callbacks[eventType].forEach(function(callback) {
+      callback(jeohash, cluster.count, centroid);
+    });
+  }
+
+  /**
+   * Calculates the centroid of a cluster, the average of its locations' coordinates.
+   *
+   * @param {Object} cluster The cluster, containing its count and the sums of its locations' coordinates.
+   * @return {?Array.<number>} The centroid as [latitude, longitude] pair, or null for an empty cluster.
+   */
+  function _clusterCentroid(cluster) {
+    if (cluster.count === 0) {
+      return null;
+    }
+    return [cluster.latitudeSum / cluster.count, cluster.longitudeSum / cluster.count];
+  }
+
+  /**
+   * Moves a key between clusters after its location or whether it is in this query changed, and fires the
+   * appropriate cluster events. Does nothing unless clustering is enabled.
+   *
+   * @param {?Array.<number>} oldLocation The previous location of the key, or null if it was not tracked.
+   * @param {boolean} wasInQuery Whether the key was in this query.
+   * @param {?Array.<number>} newLocation The current location of the key, or null if it was removed.
+   * @param {boolean} isInQuery Whether the key is in this query.
+   */
+  function _updateClusters(oldLocation, wasInQuery, newLocation, isInQuery) {
+    if (_clusterPrecision === null) {
+      return;
+    }
+
+    var oldJeohash = (wasInQuery && oldLocation !== null) ? encodeJeohash(oldLocation, _clusterPrecision) : null;
+    var newJeohash = (isInQuery && newLocation !== null) ? encodeJeohash(newLocation, _clusterPrecision) : null;
+    if (oldJeohash !== null && oldJeohash === newJeohash) {
+      // The key moved within its cell, so only the centroid of its cluster changes
+      if (oldLocation[0] !== newLocation[0] || oldLocation[1] !== newLocation[1]) {
+        var cluster = _clusters[oldJeohash];
+        cluster.latitudeSum += newLocation[0] - oldLocation[0];
+        cluster.longitudeSum += newLocation[1] - oldLocation[1];
+        _fireCallbacksForCluster("cluster_updated", oldJeohash, cluster);
+      }
+      return;
+    }
+
+    if (oldJeohash !== null) {
+      var oldCluster = _clusters[oldJeohash];
+      oldCluster.count--;
+      oldCluster.latitudeSum -= oldLocation[0];
+      oldCluster.longitudeSum -= oldLocation[1];
+      oldCluster.densityRecord.count = oldCluster.count;
+      if (oldCluster.count === 0) {
+        delete _clusters[oldJeohash];
+        _fireCallbacksForCluster("cluster_removed", oldJeohash, oldCluster);
+      } else {
+        _fireCallbacksForCluster("cluster_updated", oldJeohash, oldCluster);
+      }
+    }
+
+    if (newJeohash !== null) {
+      var isNewCluster = !_clusters.hasOwnProperty(newJeohash);
+      if (isNewCluster) {
+        _clusters[newJeohash] = {
+          count: 0,
+          latitudeSum: 0,
+          longitudeSum: 0,
+          densityRecord: {
+            cell: newJeohash,
+            bounds: jeohashBounds(newJeohash),
+            count: 0
+          }
+        };
+      }
+      var newCluster = _clusters[newJeohash];
+      newCluster.count++;
+      newCluster.latitudeSum += newLocation[0];
+      newCluster.longitudeSum += newLocation[1];
+      newCluster.densityRecord.count = newCluster.count;
+      _fireCallbacksForCluster(isNewCluster ? "cluster_added" : "cluster_updated", newJeohash, newCluster);
+    }
+  }
+
   /**
    * Decodes a query string to a query
    *
@@ -65,6 +178,169 @@ var JeoQuery = function (firebaseRef, queryCriteria) {
     return query[0]+":"+query[1];
   }
 
+  /**
+   * Merges the provided query criteria into the previous criteria. Bounds, a polygon, a corridor or circles
+   * replace any previous area, and a center and/or radius replace any previous bounds, polygon, corridor or
+   * circles. The filter and maxAge are each kept until they are replaced, or removed by passing null.
+   *
+   * @param {Object} previousCriteria The criteria to merge the new criteria into.
+   * @param {Object} newQueryCriteria The criteria which specifies the query's center and/or radius, or its
+   * bounds, polygon, corridor or circles, and/or its filter and maxAge.
+   * @return {Object} The merged criteria.
+   */
+  function _mergeCriteria(previousCriteria, newQueryCriteria) {
+    var area = previousCriteria;
+    var hasArea = g_QUERY_AREA_ATTRIBUTES.some(function(attribute) {
+      return typeof newQueryCriteria[attribute] !== "undefined";
+    });
+    if (hasArea) {
+      area = newQueryCriteria;
+    }
+    else if (typeof newQueryCriteria.center !== "undefined" || typeof newQueryCriteria.radius !== "undefined") {
+      area = {
+        center: (typeof newQueryCriteria.center !== "undefined") ? newQueryCriteria.center : previousCriteria.center,
+        radius: (typeof newQueryCriteria.radius !== "undefined") ? newQueryCriteria.radius : previousCriteria.radius
+      };
+    }
+
+    var criteria = {};
+    ["center", "radius"].concat(g_QUERY_AREA_ATTRIBUTES).forEach(function(attribute) {
+      if (typeof area[attribute] !== "undefined") {
+        criteria[attribute] = area[attribute];
+      }
+    });
+    g_QUERY_FILTER_ATTRIBUTES.forEach(function(attribute) {
+      var value = (typeof newQueryCriteria[attribute] !== "undefined") ? newQueryCriteria[attribute] : previousCriteria[attribute];
+      if (typeof value !== "undefined" && value !== null) {
+        criteria[attribute] = value;
+      }
+    });
+    return criteria;
+  }
+
+  /**
+   * Switches this query to the provided merged criteria, firing the events for the tracked locations and
+   * listening for the jeohashes of the new criteria.
+   *
+   * @param {Object} criteria The merged criteria of this query.
+   * @return {Promise.<number>} A promise that is fulfilled with the generation of the new criteria when this query
+   * is ready for them.
+   */
+  function _applyCriteria(criteria) {
+    _criteria = criteria;
+    _center = criteriaCenter(_criteria);
+    _generation++;
+
+    // Update which of the tracked locations are in the query and fire any appropriate events
+    _refreshLocations();
+
+    // Reset the variables which control when the "ready" event fires
+    _valueEventFired = false;
+    var ready = new g_Promise(function(resolve) {
+      _readyWaiters.push(resolve);
+    });
+
+    // Listen for new jeohashes being added to JeoFire and fire the appropriate events
+    _listenForNewJeohashes();
+    return ready;
+  }
+
+  /**
+   * Determines whether the provided location lies within this query, passes its filter and has not expired,
+   * and its distance from this query's center.
+   *
+   * @param {string} key The key of the location.
+   * @param {Object} record The location record, containing the location as [latitude, longitude] pair and the
+   * uid, complete flag, data and timestamp stored with it.
+   * @return {Object} An object containing the distanceFromCenter, whether the location isInQuery, and the
+   * details passed to callbacks.
+   */
+  function _matchLocation(key, record) {
+    var match = matchLocationToCriteria(_criteria, record.location);
+    return {
+      distanceFromCenter: match.distance,
+      isInQuery: match.isInQuery && !locationHasExpired(record.timestamp, _criteria.maxAge) &&
+        locationPassesFilter(_criteria.filter, key, record.location, record.uid, record.complete, record.data),
+      details: match.details
+    };
+  }
+
+  /**
+   * Schedules the expiry of the locations in this query for the provided time, unless it is already scheduled
+   * for an earlier time. Expiries further away than the longest supported timeout are rescheduled once it fires.
+   *
+   * @param {number} expiry The time, in milliseconds since the epoch, at which a location in this query expires.
+   */
+  function _scheduleExpiry(expiry) {
+    if (_expiryTimeout !== null && _nextExpiry <= expiry) {
+      return;
+    }
+    clearTimeout(_expiryTimeout);
+    _nextExpiry = expiry;
+    _expiryTimeout = setTimeout(function() {
+      _expiryTimeout = null;
+      if (Date.now() < expiry) {
+        _scheduleExpiry(expiry);
+      }
+      else {
+        _refreshLocations();
+      }
+    }, Math.min(Math.max(0, expiry - Date.now()) + 1, g_MAX_TIMEOUT_DELAY));
+  }
+
+  /**
+   * Determines again which of the tracked locations are in this query, fires the "key_entered" and "key_exited"
+   * events for the ones which entered or left it, and schedules the expiry of the ones which remain in it.
+   */
+  function _refreshLocations() {
+    clearTimeout(_expiryTimeout);
+    _expiryTimeout = null;
+
+    // Loop through all of the locations in the query, update their distance from the center of the
+    // query, and fire any appropriate events
+    var keys = Object.keys(_locationsTracked);
+    var numKeys = keys.length;
+    for (var i = 0; i < numKeys; ++i) {
+      var key = keys[i];
+
+      // If the query was cancelled while going through this loop, stop updating locations and stop
+      // firing events
+      if (_cancelled === true) {
+        break;
+      }
+
+      // Get the cached information for this location
+      var locationDict = _locationsTracked[key];
+
+      // Save if the location was already in the query
+      var wasAlreadyInQuery = locationDict.isInQuery;
+
+      // Update the location's distance to the new query center and determine if it is now in this query
+      var match = _matchLocation(key, locationDict);
+      locationDict.distanceFromCenter = match.distanceFromCenter;
+      locationDict.details = match.details;
+      locationDict.isInQuery = match.isInQuery;
+
+      // If the location just left the query, fire the "key_exited" callbacks
+      if (wasAlreadyInQuery && !locationDict.isInQuery) {
+        _fireCallbacksForKey("key_exited", key, locationDict.location, locationDict.uid, locationDict.complete, locationDict.distanceFromCenter, locationDict.details, locationDict.data);
+      }
+
+      // If the location just entered the query, fire the "key_entered" callbacks
+      else if (!wasAlreadyInQuery && locationDict.isInQuery) {
+        _fireCallbacksForKey("key_entered", key, locationDict.location, locationDict.uid, locationDict.complete, locationDict.distanceFromCenter, locationDict.details, locationDict.data);
+      }
+
+      if (wasAlreadyInQuery !== locationDict.isInQuery) {
+        _updateClusters(locationDict.location, wasAlreadyInQuery, locationDict.location, locationDict.isInQuery);
+      }
+
+      if (locationDict.isInQuery && typeof _criteria.maxAge !== "undefined" && locationDict.timestamp !== null) {
+        _scheduleExpiry(locationDict.timestamp + _criteria.maxAge);
+      }
+    }
+  }
+
   /**
    * Turns off all callbacks for the provide jeohash query.
    *
@@ -127,40 +403,73 @@ var JeoQuery = function (firebaseRef, queryCriteria) {
    * any necessary cleanup.
    *
    * @param {string} key The key of the jeofire location.
-   * @param {?Array.<number>} location The location as [latitude, longitude] pair.
+   * @param {Object} jeoFireObj The location encoded as JeoFire object.
    */
   function _updateLocation(key, jeoFireObj) {
-    var location = jeoFireObj.l;
-    var uid = jeoFireObj.u;
-    var complete = jeoFireObj.c;
+    var record = decodeJeoFireObject(jeoFireObj);
+    var location = record.location;
+    var uid = record.uid;
+    var complete = record.complete;
+    var data = record.data;
+    var timestamp = record.timestamp;
 
-    validateLocation(location);
     // Get the key and location
     var distanceFromCenter, isInQuery;
     var wasInQuery = (_locationsTracked.hasOwnProperty(key)) ? _locationsTracked[key].isInQuery : false;
     var oldLocation = (_locationsTracked.hasOwnProperty(key)) ? _locationsTracked[key].location : null;
+    var oldUid = (_locationsTracked.hasOwnProperty(key)) ? _locationsTracked[key].uid : null;
+    var oldComplete = (_locationsTracked.hasOwnProperty(key)) ? _locationsTracked[key].complete : null;
+    var oldData = (_locationsTracked.hasOwnProperty(key)) ? _locationsTracked[key].data : null;
 
     // Determine if the location is within this query
-    distanceFromCenter = JeoFire.distance(location, _center);
-    isInQuery = (distanceFromCenter <= _radius);
+    var match = _matchLocation(key, record);
+    distanceFromCenter = match.distanceFromCenter;
+    isInQuery = match.isInQuery;
+    var details = match.details;
 
     // Add this location to the locations queried dictionary even if it is not within this query
     _locationsTracked[key] = {
       location: location,
       uid: uid,
       complete: complete,
+      data: data,
+      timestamp: timestamp,
       distanceFromCenter: distanceFromCenter,
+      details: details,
       isInQuery: isInQuery,
-      jeohash: encodeJeohash(location, g_GEOHASH_PRECISION)
+      jeohash: encodeJeohash(location, _precision)
     };
 
     // Fire the "key_entered" event if the provided key has entered this query
     if (isInQuery && !wasInQuery) {
-      _fireCallbacksForKey("key_entered", key, location, uid, complete, distanceFromCenter);
+      _fireCallbacksForKey("key_entered", key, location, uid, complete, distanceFromCenter, details, data);
     } else if (isInQuery && oldLocation !== null && (location[0] !== oldLocation[0] || location[1] !== oldLocation[1])) {
-      _fireCallbacksForKey("key_moved", key, location, uid, complete, distanceFromCenter);
+      _fireCallbacksForKey("key_moved", key, location, uid, complete, distanceFromCenter, details, data);
     } else if (!isInQuery && wasInQuery) {
-      _fireCallbacksForKey("key_exited", key, location, uid, complete, distanceFromCenter);
+      _fireCallbacksForKey("key_exited", key, location, uid, complete, distanceFromCenter, details, data);
+    }
+
+    // Fire the "key_changed" event if the uid, complete flag or data of a key which stays in this query has
+    // changed. Firebase returns the children of the data in order, so equal data serializes equally.
+    if (isInQuery && wasInQuery && (uid !== oldUid || complete !== oldComplete || JSON.stringify(data) !== JSON.stringify(oldData))) {
+      var changeDetails = {
+        previous: {
+          uid: oldUid,
+          complete: oldComplete,
+          data: oldData
+        }
+      };
+      Object.keys(details).forEach(function(detail) {
+        changeDetails[detail] = details[detail];
+      });
+      _fireCallbacksForKey("key_changed", key, location, uid, complete, distanceFromCenter, changeDetails, data);
+    }
+
+    _updateClusters(oldLocation, wasInQuery, location, isInQuery);
+
+    // Make sure the location leaves this query once it expires, even if it is never written to again
+    if (isInQuery && typeof _criteria.maxAge !== "undefined" && timestamp !== null) {
+      _scheduleExpiry(timestamp + _criteria.maxAge);
     }
   }
 
@@ -196,8 +505,9 @@ var JeoQuery = function (firebaseRef, queryCriteria) {
     var locationDict = _locationsTracked[key];
     delete _locationsTracked[key];
     if (typeof locationDict !== "undefined" && locationDict.isInQuery) {
-      var distanceFromCenter = (currentLocation) ? JeoFire.distance(currentLocation, _center) : null;
-      _fireCallbacksForKey("key_exited", key, currentLocation, null, null, distanceFromCenter);
+      var match = (currentLocation) ? _matchLocation(key, { location: currentLocation }) : null;
+      _fireCallbacksForKey("key_exited", key, currentLocation, null, null, match && match.distanceFromCenter, match && match.details);
+      _updateClusters(locationDict.location, true, null, false);
     }
   }
 
@@ -228,8 +538,8 @@ var JeoQuery = function (firebaseRef, queryCriteria) {
     var key = getKey(locationDataSnapshot);
     if (_locationsTracked.hasOwnProperty(key)) {
       _firebaseRef.child(key).once("value", function(snapshot) {
-        var location = snapshot.val().l === null ? null : snapshot.val().l;
-        var jeohash = (location !== null) ? encodeJeohash(location) : null;
+        var location = (snapshot.val() === null) ? null : decodeJeoFireObject(snapshot.val()).location;
+        var jeohash = (location !== null) ? encodeJeohash(location, _precision) : null;
         // Only notify observers if key is not part of any other jeohash query or this actually might not be
         // a key exited event, but a key moved or entered event. These events will be triggered by updates
         // to a different query
@@ -241,29 +551,45 @@ var JeoQuery = function (firebaseRef, queryCriteria) {
   }
 
   /**
-   * Called once all jeohash queries have received all child added events and fires the ready
-   * event if necessary.
+   * Called once a jeohash query has received all child added events and fires the ready event if it was the
+   * last jeohash query the current generation is waiting for. Jeohash queries the current generation is not
+   * waiting for were requested by an earlier generation, so they cannot make the current one ready.
+   *
+   * @param {string} queryStr The encoded jeohash query which is ready.
    */
   function _jeohashQueryReadyCallback(queryStr) {
     var index = _outstandingJeohashReadyEvents.indexOf(queryStr);
-    if (index > -1) {
-      _outstandingJeohashReadyEvents.splice(index, 1);
+    if (index === -1) {
+      return;
     }
-    _valueEventFired = (_outstandingJeohashReadyEvents.length === 0);
 
-    // If all queries have been processed, fire the ready event
-    if (_valueEventFired) {
-      _fireReadyEventCallbacks();
+    _outstandingJeohashReadyEvents.splice(index, 1);
+    if (_outstandingJeohashReadyEvents.length === 0) {
+      _fireReadyEvent();
     }
   }
 
+  /**
+   * Marks the current generation as ready, fires the ready event and fulfills the promises waiting for it.
+   */
+  function _fireReadyEvent() {
+    _valueEventFired = true;
+    _fireReadyEventCallbacks();
+
+    var readyWaiters = _readyWaiters;
+    _readyWaiters = [];
+    readyWaiters.forEach(function(resolve) {
+      resolve(_generation);
+    });
+  }
+
   /**
    * Attaches listeners to Firebase which track when new jeohashes are added within this query's
    * bounding box.
    */
   function _listenForNewJeohashes() {
     // Get the list of jeohashes to query
-    var jeohashesToQuery = jeohashQueries(_center, _radius*1000).map(_queryToString);
+    var jeohashesToQuery = jeohashQueriesForCriteria(_criteria, _precision).map(_queryToString);
 
     // Filter out duplicate jeohashes
     jeohashesToQuery = jeohashesToQuery.filter(function(jeohash, i){
@@ -294,8 +620,15 @@ var JeoQuery = function (firebaseRef, queryCriteria) {
       _cleanUpCurrentJeohashesQueriedTimeout = setTimeout(_cleanUpCurrentJeohashesQueried, 10);
     }
 
-    // Keep track of which jeohashes have been processed so we know when to fire the "ready" event
+    // Keep track of which jeohashes have been processed so we know when to fire the "ready" event. This
+    // includes the jeohashes which are still queried for earlier criteria, but have not loaded yet.
     _outstandingJeohashReadyEvents = jeohashesToQuery.slice();
+    Object.keys(_currentJeohashesQueried).forEach(function(queryStr) {
+      var queryState = _currentJeohashesQueried[queryStr];
+      if (queryState.active && !queryState.ready && _outstandingJeohashReadyEvents.indexOf(queryStr) === -1) {
+        _outstandingJeohashReadyEvents.push(queryStr);
+      }
+    });
 
     // Loop through each jeohash to query for and listen for new jeohashes which have the same prefix.
     // For every match, attach a value callback which will fire the appropriate events.
@@ -307,34 +640,34 @@ var JeoQuery = function (firebaseRef, queryCriteria) {
       // Create the Firebase query
       var firebaseQuery = _firebaseRef.orderByChild("g").startAt(query[0]).endAt(query[1]);
 
+      // Add the jeohash query to the current jeohashes queried dictionary before attaching its listeners,
+      // since Firebase can fire them right away
+      var queryState = {
+        active: true,
+        ready: false
+      };
+      _currentJeohashesQueried[toQueryStr] = queryState;
+
       // For every new matching jeohash, determine if we should fire the "key_entered" event
-      var childAddedCallback = firebaseQuery.on("child_added", _childAddedCallback);
-      var childRemovedCallback = firebaseQuery.on("child_removed", _childRemovedCallback);
-      var childChangedCallback = firebaseQuery.on("child_changed", _childChangedCallback);
+      queryState.childAddedCallback = firebaseQuery.on("child_added", _childAddedCallback);
+      queryState.childRemovedCallback = firebaseQuery.on("child_removed", _childRemovedCallback);
+      queryState.childChangedCallback = firebaseQuery.on("child_changed", _childChangedCallback);
 
       // Once the current jeohash to query is processed, see if it is the last one to be processed
       // and, if so, mark the value event as fired.
       // Note that Firebase fires the "value" event after every "child_added" event fires.
-      var valueCallback = firebaseQuery.on("value", function() {
-        firebaseQuery.off("value", valueCallback);
+      queryState.valueCallback = firebaseQuery.on("value", function() {
+        firebaseQuery.off("value", queryState.valueCallback);
+        queryState.ready = true;
         _jeohashQueryReadyCallback(toQueryStr);
       });
-
-      // Add the jeohash query to the current jeohashes queried dictionary and save its state
-      _currentJeohashesQueried[toQueryStr] = {
-        active: true,
-        childAddedCallback: childAddedCallback,
-        childRemovedCallback: childRemovedCallback,
-        childChangedCallback: childChangedCallback,
-        valueCallback: valueCallback
-      };
     });
     // Based upon the algorithm to calculate jeohashes, it's possible that no "new"
     // jeohashes were queried even if the client updates the radius of the query.
     // This results in no "READY" event being fired after the .updateQuery() call.
     // Check to see if this is the case, and trigger the "READY" event.
-    if(jeohashesToQuery.length === 0) {
-      _jeohashQueryReadyCallback();
+    if (_outstandingJeohashReadyEvents.length === 0) {
+      _fireReadyEvent();
     }
   }
 
@@ -342,7 +675,9 @@ var JeoQuery = function (firebaseRef, queryCriteria) {
   /*  PUBLIC METHODS  */
   /********************/
   /**
-   * Returns the location signifying the center of this query.
+   * Returns the location signifying the center of this query. For a query with bounds, this is the
+   * center of the bounds. For a polygon or corridor query, this is the center of the bounds of the polygon
+   * or path. For a circles query, this is the center of the bounds of the circles' centers.
    *
    * @return {Array.<number>} The [latitude, longitude] pair signifying the center of this query.
    */
@@ -353,76 +688,197 @@ var JeoQuery = function (firebaseRef, queryCriteria) {
   /**
    * Returns the radius of this query, in kilometers.
    *
-   * @return {number} The radius of this query, in kilometers.
+   * @return {?number} The radius of this query, in kilometers, or null if this query has bounds, a polygon, a
+   * corridor or circles.
    */
   this.radius = function() {
-    return _radius;
+    return (typeof _criteria.radius !== "undefined") ? _criteria.radius : null;
   };
 
   /**
-   * Updates the criteria for this query.
+   * Returns the bounds of this query.
    *
-   * @param {Object} newQueryCriteria The criteria which specifies the query's center and radius.
+   * @return {?Array.<Array.<number>>} The [[south, west], [north, east]] bounds of this query, or null if
+   * this query has no bounds.
    */
-  this.updateCriteria = function(newQueryCriteria) {
-    // Validate and save the new query criteria
-    validateCriteria(newQueryCriteria);
-    _center = newQueryCriteria.center || _center;
-    _radius = newQueryCriteria.radius || _radius;
+  this.bounds = function() {
+    return _criteria.bounds || null;
+  };
 
-    // Loop through all of the locations in the query, update their distance from the center of the
-    // query, and fire any appropriate events
-    var keys = Object.keys(_locationsTracked);
-    var numKeys = keys.length;
-    for (var i = 0; i < numKeys; ++i) {
-      var key = keys[i];
+  /**
+   * Returns the polygon of this query.
+   *
+   * @return {?Array} The polygon of this query, as a ring of [latitude, longitude] vertices or an array of
+   * rings where all rings after the first are holes, or null if this query has no polygon.
+   */
+  this.polygon = function() {
+    return _criteria.polygon || null;
+  };
 
-      // If the query was cancelled while going through this loop, stop updating locations and stop
-      // firing events
-      if (_cancelled === true) {
-        break;
-      }
+  /**
+   * Returns the corridor of this query.
+   *
+   * @return {?Object} The corridor of this query, containing its path of [latitude, longitude] vertices and
+   * its buffer in kilometers, or null if this query has no corridor.
+   */
+  this.corridor = function() {
+    return _criteria.corridor || null;
+  };
 
-      // Get the cached information for this location
-      var locationDict = _locationsTracked[key];
+  /**
+   * Returns the circles of this query.
+   *
+   * @return {?Array.<Object>} The circles of this query, each containing its center [latitude, longitude] pair
+   * and its radius in kilometers, or null if this query has no circles.
+   */
+  this.circles = function() {
+    return _criteria.circles || null;
+  };
 
-      // Save if the location was already in the query
-      var wasAlreadyInQuery = locationDict.isInQuery;
+  /**
+   * Returns the clusters of the keys in this query.
+   *
+   * @return {Array.<Object>} The clusters, each a { jeohash, count, centroid } object, or an empty array if
+   * clustering is disabled.
+   */
+  this.clusters = function() {
+    return Object.keys(_clusters).map(function(jeohash) {
+      return {
+        jeohash: jeohash,
+        count: _clusters[jeohash].count,
+        centroid: _clusterCentroid(_clusters[jeohash])
+      };
+    });
+  };
 
-      // Update the location's distance to the new query center
-      locationDict.distanceFromCenter = JeoFire.distance(locationDict.location, _center);
+  /**
+   * Returns the density of the keys in this query, the number of keys within each jeohash cell of the cluster
+   * precision. The records are updated in place as keys enter, move within and exit this query, so the same
+   * record object keeps the count of a cell for as long as the cell contains keys. Once a cell is empty, its
+   * record's count is 0 and it is no longer returned.
+   *
+   * @return {Array.<Object>} The { cell, bounds, count } records of the cells containing keys, where bounds are the
+   * [[south, west], [north, east]] corners of the cell.
+   */
+  this.density = function() {
+    if (_clusterPrecision === null) {
+      throw new Error("density() requires the clusterPrecision option to be set");
+    }
+    return Object.keys(_clusters).map(function(jeohash) {
+      return _clusters[jeohash].densityRecord;
+    });
+  };
 
-      // Determine if the location is now in this query
-      locationDict.isInQuery = (locationDict.distanceFromCenter <= _radius);
+  /**
+   * Changes the length of the jeohash prefixes the keys in this query are clustered by. Every current cluster
+   * fires "cluster_removed", and the keys are then bucketed again, firing "cluster_added" for each new cluster.
+   *
+   * @param {?number} clusterPrecision The length of the jeohash prefixes, between 1 and 22, or null to disable
+   * clustering.
+   */
+  this.setClusterPrecision = function(clusterPrecision) {
+    if (clusterPrecision !== null) {
+      validatePrecision(clusterPrecision);
+    }
 
-      // If the location just left the query, fire the "key_exited" callbacks
-      if (wasAlreadyInQuery && !locationDict.isInQuery) {
-        _fireCallbacksForKey("key_exited", key, locationDict.location, locationDict.uid, locationDict.complete, locationDict.distanceFromCenter);
-      }
+    var previousClusters = _clusters;
+    _clusters = {};
+    Object.keys(previousClusters).forEach(function(jeohash) {
+      previousClusters[jeohash].densityRecord.count = 0;
+      _fireCallbacksForCluster("cluster_removed", jeohash, { count: 0 });
+    });
 
-      // If the location just entered the query, fire the "key_entered" callbacks
-      else if (!wasAlreadyInQuery && locationDict.isInQuery) {
-        _fireCallbacksForKey("key_entered", key, locationDict.location, locationDict.uid, locationDict.complete, locationDict.distanceFromCenter);
+    _clusterPrecision = clusterPrecision;
+    Object.keys(_locationsTracked).forEach(function(key) {
+      var locationDict = _locationsTracked[key];
+      if (locationDict.isInQuery) {
+        _updateClusters(null, false, locationDict.location, true);
       }
-    }
+    });
+  };
 
-    // Reset the variables which control when the "ready" event fires
-    _valueEventFired = false;
+  /**
+   * Updates the criteria for this query. Passing bounds, a polygon, a corridor or circles switches this query to
+   * that area. Switching such a query back to a single circle requires both a center and a radius. Passing only a
+   * filter and/or maxAge keeps the current area, and passing a null filter or maxAge removes it.
+   *
+   * If this query was created with a debounceMs option, the new criteria are only applied once no other update
+   * followed them for debounceMs milliseconds. Until then, this query keeps its current criteria and listeners,
+   * and each update is merged into the pending criteria.
+   *
+   * @param {Object} newQueryCriteria The criteria which specifies the query's center and radius, or its
+   * bounds, polygon, corridor or circles, and/or its filter and maxAge.
+   * @return {Promise.<number|Object>} A promise that is fulfilled with the generation of the criteria this query
+   * ends up with, once any debounced updates are applied and this query is ready for them, or with
+   * { cancelled: true } if this query is cancelled first.
+   */
+  this.updateCriteria = function(newQueryCriteria) {
+    // Validate the new query criteria against the criteria they are merged into. A query without a radius can
+    // only switch back to a circle given both a center and a radius.
+    var previousCriteria = (_pendingUpdate !== null) ? _pendingUpdate.criteria : _criteria;
+    var switchesToCircle = (typeof newQueryCriteria === "object" && newQueryCriteria !== null &&
+      (typeof newQueryCriteria.center !== "undefined" || typeof newQueryCriteria.radius !== "undefined"));
+    validateCriteria(newQueryCriteria, /* requireCenterAndRadius */ typeof previousCriteria.radius === "undefined" && switchesToCircle);
+    var criteria = _mergeCriteria(previousCriteria, newQueryCriteria);
 
-    // Listen for new jeohashes being added to JeoFire and fire the appropriate events
-    _listenForNewJeohashes();
+    if (_debounceMs === 0) {
+      return _applyCriteria(criteria);
+    }
+
+    if (_pendingUpdate === null) {
+      var pendingUpdate = {};
+      pendingUpdate.promise = new g_Promise(function(resolve) {
+        pendingUpdate.resolve = resolve;
+      });
+      _pendingUpdate = pendingUpdate;
+    }
+    else {
+      clearTimeout(_pendingUpdate.timeout);
+    }
+    _pendingUpdate.criteria = criteria;
+    _pendingUpdate.timeout = setTimeout(function() {
+      var appliedUpdate = _pendingUpdate;
+      _pendingUpdate = null;
+      _applyCriteria(appliedUpdate.criteria).then(appliedUpdate.resolve);
+    }, _debounceMs);
+    return _pendingUpdate.promise;
   };
 
   /**
    * Attaches a callback to this query which will be run when the provided eventType fires. Valid eventType
-   * values are "ready", "key_entered", "key_exited", and "key_moved". The ready event callback is passed no
-   * parameters. All other callbacks will be passed three parameters: (1) the location's key, (2) the location's
-   * [latitude, longitude] pair, and (3) the distance, in kilometers, from the location to this query's center
+   * values are "ready", "key_entered", "key_exited", "key_moved", "key_changed", "cluster_added", "cluster_updated",
+   * and "cluster_removed". The ready event callback is
+   * passed two parameters: (1) the generation of the criteria this query is ready for and (2) a copy of those
+   * criteria. All other callbacks will be passed seven parameters: (1) the location's key, (2) the
+   * location's [latitude, longitude] pair, (3) the location's uid, (4) whether the location is complete, (5) the
+   * distance, in kilometers, from the location to this query's center, (6) an object with additional details
+   * on how the location matched this query, and (7) the data stored with the location. For corridor queries, the
+   * distance is measured to the closest segment of the path and the details contain the index of that segment
+   * as "segment". For circles queries, a key is within this query if it lies within any of the circles, the
+   * distance is measured to the nearest center of those circles, and the details contain their indices as
+   * "circles".
+   *
+   * If the query criteria contain a filter, a key is only considered within this query if it lies within its
+   * area and passes the filter. The filter is either a predicate called with the key, location, uid, complete
+   * flag and data, or an object such as { complete: false, uid: ["a", "b"] } matching the complete flag and
+   * one of the uids. Changes to a key's metadata fire "key_entered" and "key_exited" like moves do.
+   *
+   * If the query criteria contain a maxAge, in milliseconds, a key is only considered within this query if it
+   * was last written at most maxAge ago. Once a key in this query becomes older than that, "key_exited" fires
+   * for it even if it is never written to again. Keys written before timestamps were stored never expire.
    *
    * "ready" is used to signify that this query has loaded its initial state and is up-to-date with its corresponding
    * JeoFire instance. "ready" fires when this query has loaded all of the initial data from JeoFire and fired all
    * other events for that data. It also fires every time updateQuery() is called, after all other events have
-   * fired for the updated query.
+   * fired for the updated query. The initial criteria are generation 0, and each applied criteria update gets the
+   * next generation. "ready" only fires for the current generation, once every jeohash range it needs has loaded,
+   * so ranges which were still loading for earlier criteria never make later criteria ready early.
+   *
+   * "cluster_added", "cluster_updated" and "cluster_removed" only fire if clustering is enabled. Their callbacks are
+   * passed three parameters: (1) the jeohash prefix of the cluster's cell, (2) the number of keys in the cluster
+   * and (3) the centroid of their locations as [latitude, longitude] pair. A removed cluster has a count of 0 and
+   * a null centroid. The clusters are updated as keys enter, move within and exit this query, and a
+   * "cluster_added" callback fires right away for every current cluster.
    *
    * "key_entered" fires when a key enters this query. This can happen when a key moves from a location outside of
    * this query to one inside of it or when a key is written to JeoFire for the first time and it falls within
@@ -433,19 +889,24 @@ var JeoQuery = function (firebaseRef, queryCriteria) {
    *
    * "key_moved" fires when a key which is already in this query moves to another location inside of it.
    *
+   * "key_changed" fires when the uid, complete flag or data of a key which stays in this query changes, after
+   * any "key_moved" event for the same update. Its callbacks are passed the new values, and the details contain
+   * the old values as "previous", an object with the uid, complete flag and data.
+   *
    * Returns a JeoCallbackRegistration which can be used to cancel the callback. You can add as many callbacks
    * as you would like for the same eventType by repeatedly calling on(). Each one will get called when its
    * corresponding eventType fires. Each callback must be cancelled individually.
    *
    * @param {string} eventType The event type for which to attach the callback. One of "ready", "key_entered",
-   * "key_exited", or "key_moved".
+   * "key_exited", "key_moved", "key_changed", "cluster_added", "cluster_updated", or "cluster_removed".
    * @callback callback Callback function to be called when an event of type eventType fires.
    * @return {JeoCallbackRegistration} A callback registration which can be used to cancel the provided callback.
    */
   this.on = function(eventType, callback) {
     // Validate the inputs
-    if (["ready", "key_entered", "key_exited", "key_moved"].indexOf(eventType) === -1) {
-      throw new Error("event type must be \"ready\", \"key_entered\", \"key_exited\", or \"key_moved\"");
+    if (!_callbacks.hasOwnProperty(eventType)) {
+      throw new Error("event type must be \"ready\", \"key_entered\", \"key_exited\", \"key_moved\", \"key_changed\", " +
+        "\"cluster_added\", \"cluster_updated\", or \"cluster_removed\"");
     }
     if (typeof callback !== "function") {
       throw new Error("callback must be a function");
@@ -462,15 +923,22 @@ var JeoQuery = function (firebaseRef, queryCriteria) {
         var key = keys[i];
         var locationDict = _locationsTracked[key];
         if (typeof locationDict !== "undefined" && locationDict.isInQuery) {
-          callback(key, locationDict.location, locationDict.uid, locationDict.complete, locationDict.distanceFromCenter);
+          callback(key, locationDict.location, locationDict.uid, locationDict.complete, locationDict.distanceFromCenter, locationDict.details, locationDict.data);
         }
       }
     }
 
+    // If this is a "cluster_added" callback, fire it for every current cluster
+    if (eventType === "cluster_added") {
+      Object.keys(_clusters).forEach(function(jeohash) {
+        callback(jeohash, _clusters[jeohash].count, _clusterCentroid(_clusters[jeohash]));
+      });
+    }
+
     // If this is a "ready" callback, fire it if this query is already ready
     if (eventType === "ready") {
       if (_valueEventFired) {
-        callback();
+        callback(_generation, _copyCriteria());
       }
     }
 
@@ -482,7 +950,8 @@ var JeoQuery = function (firebaseRef, queryCriteria) {
 
   /**
    * Terminates this query so that it no longer sends location updates. All callbacks attached to this
-   * query via on() will be cancelled. This query can no longer be used in the future.
+   * query via on() will be cancelled, and the promises of updateCriteria() calls this query is not ready for yet
+   * are fulfilled with { cancelled: true }. This query can no longer be used in the future.
    */
   this.cancel = function () {
     // Mark this query as cancelled
@@ -493,7 +962,11 @@ var JeoQuery = function (firebaseRef, queryCriteria) {
       ready: [],
       key_entered: [],
       key_exited: [],
-      key_moved: []
+      key_moved: [],
+      key_changed: [],
+      cluster_added: [],
+      cluster_updated: [],
+      cluster_removed: []
     };
 
     // Turn off all Firebase listeners for the current jeohashes being queried
@@ -506,8 +979,25 @@ var JeoQuery = function (firebaseRef, queryCriteria) {
       delete _currentJeohashesQueried[jeohashQueryStr];
     }
 
-    // Delete any stored locations
+    // Delete any stored locations and clusters
     _locationsTracked = {};
+    _clusters = {};
+
+    // Stop expiring locations
+    clearTimeout(_expiryTimeout);
+    _expiryTimeout = null;
+
+    // Drop any debounced criteria update and settle the updateCriteria() promises which can no longer be applied
+    if (_pendingUpdate !== null) {
+      clearTimeout(_pendingUpdate.timeout);
+      _pendingUpdate.resolve({ cancelled: true });
+      _pendingUpdate = null;
+    }
+    var readyWaiters = _readyWaiters;
+    _readyWaiters = [];
+    readyWaiters.forEach(function(resolve) {
+      resolve({ cancelled: true });
+    });
 
     // Turn off the current jeohashes queried clean up interval
     clearInterval(_cleanUpCurrentJeohashesQueriedInterval);
@@ -523,12 +1013,27 @@ var JeoQuery = function (firebaseRef, queryCriteria) {
   }
   var _firebaseRef = firebaseRef;
 
+  // Length of the jeohashes stored by the JeoFire which created this query, and the time criteria updates are
+  // debounced for
+  validateQueryOptions(options);
+  var _precision = (typeof options !== "undefined" && typeof options.precision !== "undefined") ? options.precision : g_GEOHASH_PRECISION;
+  var _debounceMs = (typeof options !== "undefined" && typeof options.debounceMs !== "undefined") ? options.debounceMs : 0;
+
+  // The length of the jeohash prefixes the keys in this query are clustered by, or null if clustering is
+  // disabled, and the clusters keyed by their jeohash
+  var _clusterPrecision = (typeof options !== "undefined" && typeof options.clusterPrecision !== "undefined") ? options.clusterPrecision : null;
+  var _clusters = {};
+
   // Event callbacks
   var _callbacks = {
     ready: [],
     key_entered: [],
     key_exited: [],
-    key_moved: []
+    key_moved: [],
+    key_changed: [],
+    cluster_added: [],
+    cluster_updated: [],
+    cluster_removed: []
   };
 
   // Variable to track when the query is cancelled
@@ -538,6 +1043,15 @@ var JeoQuery = function (firebaseRef, queryCriteria) {
   var _valueEventFired = false;
   var _outstandingJeohashReadyEvents;
 
+  // The resolve functions of the updateCriteria() promises waiting for the next "ready" event
+  var _readyWaiters = [];
+
+  // The generation of this query's criteria, which is incremented every time new criteria are applied
+  var _generation = 0;
+
+  // The debounced criteria update which is not applied yet, along with its promise
+  var _pendingUpdate = null;
+
   // A dictionary of locations that a currently active in the queries
   // Note that not all of these are currently within this query
   var _locationsTracked = {};
@@ -556,10 +1070,15 @@ var JeoQuery = function (firebaseRef, queryCriteria) {
       }
     }, 10000);
 
+  // The timeout which expires the locations in this query once they are older than its maxAge, and the time
+  // it is scheduled for
+  var _expiryTimeout = null;
+  var _nextExpiry = null;
+
   // Validate and save the query criteria
   validateCriteria(queryCriteria, /* requireCenterAndRadius */ true);
-  var _center = queryCriteria.center;
-  var _radius = queryCriteria.radius;
+  var _criteria = _mergeCriteria({}, queryCriteria);
+  var _center = criteriaCenter(_criteria);
 
   // Listen for new jeohashes being added around this query and fire the appropriate events
   _listenForNewJeohashes();
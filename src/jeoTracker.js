@@ -0,0 +1,177 @@
+/**
+ * Creates a JeoTracker instance.
+ *
+ * @constructor
+ * @this {JeoTracker}
+ * @param {JeoFire} jeoFire The JeoFire instance the location is written to.
+ * @param {string} key The key of the tracked location.
+ * @param {Object=} options An optional object containing the minDistanceMeters a location must move and the
+ * minIntervalMs which must pass since the last write for an update to be written. Both default to 0.
+ */
+var JeoTracker = function(jeoFire, key, options) {
+  /*********************/
+  /*  PRIVATE METHODS  */
+  /*********************/
+  /**
+   * Writes the provided location and metadata, and remembers it as the last written update.
+   *
+   * @param {Object} update The { location, metadata } update to write.
+   * @return {Promise.<>} A promise that is fulfilled when the write is complete.
+   */
+  function _write(update) {
+    clearTimeout(_trailingWriteTimeout);
+    _trailingWriteTimeout = null;
+    _lastWrite = {
+      location: update.location,
+      metadata: update.metadata,
+      time: Date.now()
+    };
+    _pendingUpdate = null;
+    _numWritten++;
+    return _jeoFire.set(_key, update.location, update.metadata);
+  }
+
+  /**
+   * Returns whether the provided update is below the thresholds, compared to the last written update. An update
+   * whose metadata differs from the last written metadata is never below the thresholds.
+   *
+   * @param {Object} update The { location, metadata } update.
+   * @return {boolean} Whether the update should be skipped.
+   */
+  function _isBelowThresholds(update) {
+    if (_lastWrite === null || JSON.stringify(update.metadata) !== JSON.stringify(_lastWrite.metadata)) {
+      return false;
+    }
+
+    var distance = JeoFire.distance(_lastWrite.location, update.location) * 1000;
+    var interval = Date.now() - _lastWrite.time;
+    return distance < _options.minDistanceMeters || interval < _options.minIntervalMs;
+  }
+
+  /**
+   * Schedules a write of the pending update for once minIntervalMs passed since the last write, unless one is
+   * already scheduled. The pending update is only written if it is no longer below the thresholds by then.
+   */
+  function _scheduleTrailingWrite() {
+    if (_trailingWriteTimeout !== null || _options.minIntervalMs === 0) {
+      return;
+    }
+    _trailingWriteTimeout = setTimeout(function() {
+      _trailingWriteTimeout = null;
+      var update = _pendingUpdate;
+      if (update !== null && !_isBelowThresholds(update)) {
+        _write(update).catch(function() {
+          // Keep the failed update pending so that flush() can retry it, unless a newer update replaced it
+          if (_pendingUpdate === null) {
+            _pendingUpdate = update;
+          }
+        });
+      }
+    }, Math.max(0, _lastWrite.time + _options.minIntervalMs - Date.now()) + 1);
+  }
+
+  /********************/
+  /*  PUBLIC METHODS  */
+  /********************/
+  /**
+   * Updates the location of the tracked key. The update is written unless the location moved less than
+   * minDistanceMeters from the last written location, or less than minIntervalMs passed since the last write.
+   * The first update and updates whose metadata differs from the last written metadata are always written.
+   *
+   * A skipped update is kept as the pending position, which the next written update or flush() replaces. Once
+   * minIntervalMs passed since the last write, the pending position is written on its own if it moved at least
+   * minDistanceMeters, so the last position of a key lands without calling flush().
+   *
+   * @param {Array.<number>} location The [latitude, longitude] pair of the key.
+   * @param {Object=} metadata The { data, uid, complete } metadata of the location.
+   * @return {Promise.<boolean>} A promise that is fulfilled with whether the update was written, once the write is
+   * complete.
+   */
+  this.update = function(location, metadata) {
+    validateLocation(location);
+    if (typeof metadata !== "undefined") {
+      validateLocationMetadata(metadata);
+    }
+
+    var update = {
+      location: location,
+      metadata: metadata
+    };
+    if (_isBelowThresholds(update)) {
+      _pendingUpdate = update;
+      _numSkipped++;
+      _scheduleTrailingWrite();
+      return g_Promise.resolve(false);
+    }
+    return _write(update).then(function() {
+      return true;
+    });
+  };
+
+  /**
+   * Writes the last skipped update, regardless of the thresholds, so that the final position of the key is
+   * stored even if it moved less than minDistanceMeters. This should be called once tracking ends.
+   *
+   * @return {Promise.<boolean>} A promise that is fulfilled with whether there was a skipped update to write, once
+   * the write is complete.
+   */
+  this.flush = function() {
+    if (_pendingUpdate === null) {
+      return g_Promise.resolve(false);
+    }
+    return _write(_pendingUpdate).then(function() {
+      return true;
+    });
+  };
+
+  /**
+   * Stops tracking the key. The scheduled write of the last skipped update is cancelled and the update is dropped
+   * without being written, so call flush() first to store the final position of the key.
+   */
+  this.stop = function() {
+    clearTimeout(_trailingWriteTimeout);
+    _trailingWriteTimeout = null;
+    _pendingUpdate = null;
+  };
+
+  /**
+   * Returns the number of updates this tracker has written and skipped. Skipped updates which were later written,
+   * by flush() or once minIntervalMs passed, count as both.
+   *
+   * @return {Object} An object containing the number of written and skipped updates.
+   */
+  this.stats = function() {
+    return {
+      written: _numWritten,
+      skipped: _numSkipped
+    };
+  };
+
+  /**
+   * Returns the key this tracker writes the location of.
+   *
+   * @return {string} The key of the tracked location.
+   */
+  this.key = function() {
+    return _key;
+  };
+
+  /*****************/
+  /*  CONSTRUCTOR  */
+  /*****************/
+  var _jeoFire = jeoFire;
+  var _key = key;
+  var _options = validateTrackerOptions(options);
+
+  // The last written location and metadata and the time they were written, according to this client's clock
+  var _lastWrite = null;
+
+  // The most recent update which was skipped since the last write
+  var _pendingUpdate = null;
+
+  // The timeout writing the pending update once minIntervalMs passed since the last write
+  var _trailingWriteTimeout = null;
+
+  var _numWritten = 0;
+  var _numSkipped = 0;
+};
@@ -12,8 +12,16 @@ var validLocations = [[0, 0], [-90, 180], [90, -180], [23, 74], [47.235124363, 1
 var invalidLocations = [[-91, 0], [91, 0], [0, 181], [0, -181], [[0, 0], 0], ["a", 0], [0, "a"], ["a", "a"], [NaN, 0], [0, NaN], [undefined, NaN], [null, 0], [null, null], [0, undefined], [undefined, undefined], "", "a", true, false, [], [1], {}, {a:1}, null, undefined, NaN];
 var validJeohashes = ["4", "d62dtu", "000000000000"];
 var invalidJeohashes = ["", "aaa", 1, true, false, [], [1], {}, {a:1}, null, undefined, NaN];
-var validQueryCriterias = [{center: [0,0], radius: 1000}, {center: [1,-180], radius: 1.78}, {center: [22.22,-107.77], radius: 0}, {center: [0,0]}, {center: [1,-180]}, {center: [22.22,-107.77]}, {radius: 1000}, {radius: 1.78}, {radius: 0}];
-var invalidQueryCriterias = [{}, {random: 100}, {center: [91,2], radius: 1000, random: "a"}, {center: [91,2], radius: 1000}, {center: [1,-181], radius: 1000}, {center: ["a",2], radius: 1000}, {center: [1,[1,2]], radius: 1000}, {center: [0,0], radius: -1}, {center: [null,2], radius: 1000}, {center: [1,undefined], radius: 1000}, {center: [NaN,0], radius: 1000}, {center: [1,2], radius: -10}, {center: [1,2], radius: "text"}, {center: [1,2], radius: [1,2]}, {center: [1,2], radius: null}, true, false, undefined, NaN, [], "a", 1];
+var validBounds = [[[0, 0], [1, 1]], [[-90, -180], [90, 180]], [[37.7, -122.5], [37.8, -122.4]], [[-10, 170], [10, -170]], [[5, 5], [5, 5]]];
+var validPolygons = [[[0, 0], [0, 1], [1, 1]], [[[0, 0], [0, 4], [4, 4], [4, 0]], [[1, 1], [1, 2], [2, 2], [2, 1]]], [[-90, -180], [90, -180], [90, 180], [-90, 180]]];
+var invalidPolygons = [[[0, 0], [0, 1]], [[[0, 0], [0, 4], [4, 4]], [[1, 1], [1, 2]]], [[0, 0], [0, 1], [91, 1]], [[0, 0], [0, 1], "a"], [], "", "a", true, false, {}, null, undefined, NaN];
+var validCorridors = [{path: [[0, 0], [0, 1]], buffer: 0}, {path: [[37.7, -122.5], [37.8, -122.4], [37.9, -122.4]], buffer: 1.5}];
+var invalidCorridors = [{path: [[0, 0]], buffer: 1}, {path: [[0, 0], [91, 0]], buffer: 1}, {path: [[0, 0], [0, 1]], buffer: -1}, {path: [[0, 0], [0, 1]], buffer: "a"}, {path: [[0, 0], [0, 1]]}, {path: [[0, 0], [0, 1]], buffer: 1, other: 1}, {buffer: 1}, [[0, 0], [0, 1]], "", "a", true, false, {}, null, undefined, NaN];
+var invalidBounds = [[[1, 0], [0, 1]], [[0, 0], [91, 1]], [[0, -181], [1, 1]], [[0, 0]], [[0, 0], [1, 1], [2, 2]], [0, 0], "", "a", true, false, [], {}, null, undefined, NaN];
+var validCircles = [[{center: [0, 0], radius: 0}], [{center: [37.7, -122.5], radius: 1.5}, {center: [37.8, -122.4], radius: 3}]];
+var invalidCircles = [[], [{center: [0, 0]}], [{center: [0, 0], radius: -1}], [{center: [0, 0], radius: "a"}], [{center: [91, 0], radius: 1}], [{radius: 1}], [{center: [0, 0], radius: 1, other: 1}], [{center: [0, 0], radius: 1}, null], [[0, 0]], {center: [0, 0], radius: 1}, "", "a", true, false, {}, null, undefined, NaN];
+var validQueryCriterias = [{center: [0,0], radius: 1000}, {center: [1,-180], radius: 1.78}, {center: [22.22,-107.77], radius: 0}, {center: [0,0]}, {center: [1,-180]}, {center: [22.22,-107.77]}, {radius: 1000}, {radius: 1.78}, {radius: 0}, {bounds: [[0,0], [1,1]]}, {bounds: [[-10,170], [10,-170]]}, {polygon: [[0,0], [0,1], [1,1]]}, {corridor: {path: [[0,0], [0,1]], buffer: 2}}, {circles: [{center: [0,0], radius: 2}, {center: [1,1], radius: 3}]}, {center: [0,0], radius: 1000, filter: {complete: false}}, {bounds: [[0,0], [1,1]], filter: {uid: ["a", "b"]}}, {filter: function() { return true; }}, {filter: null}, {center: [0,0], radius: 1000, maxAge: 60000}, {maxAge: 1}, {maxAge: null}];
+var invalidQueryCriterias = [{}, {random: 100}, {center: [91,2], radius: 1000, random: "a"}, {center: [91,2], radius: 1000}, {center: [1,-181], radius: 1000}, {center: ["a",2], radius: 1000}, {center: [1,[1,2]], radius: 1000}, {center: [0,0], radius: -1}, {center: [null,2], radius: 1000}, {center: [1,undefined], radius: 1000}, {center: [NaN,0], radius: 1000}, {center: [1,2], radius: -10}, {center: [1,2], radius: "text"}, {center: [1,2], radius: [1,2]}, {center: [1,2], radius: null}, {bounds: [[0,0], [1,1]], radius: 10}, {bounds: [[0,0], [1,1]], center: [0,0]}, {bounds: [[0,0], [1,1]], polygon: [[0,0], [0,1], [1,1]]}, {polygon: [[0,0], [0,1]]}, {polygon: [[0,0], [0,1], [1,1]], radius: 10}, {corridor: {path: [[0,0]], buffer: 2}}, {corridor: {path: [[0,0], [0,1]]}}, {corridor: {path: [[0,0], [0,1]], buffer: 2}, center: [0,0]}, {circles: []}, {circles: [{center: [0,0], radius: 2}], radius: 10}, {circles: [{center: [0,0], radius: 2}], polygon: [[0,0], [0,1], [1,1]]}, {bounds: [[1,0], [0,1]]}, {bounds: [[0,0], [91,1]]}, {bounds: [[0,0]]}, {bounds: null}, {center: [0,0], radius: 1000, filter: 1}, {center: [0,0], radius: 1000, filter: {uid: []}}, {center: [0,0], radius: 1000, filter: {uid: [1]}}, {center: [0,0], radius: 1000, filter: {complete: "no"}}, {center: [0,0], radius: 1000, filter: {random: 1}}, {center: [0,0], radius: 1000, maxAge: 0}, {center: [0,0], radius: 1000, maxAge: -1}, {center: [0,0], radius: 1000, maxAge: "1h"}, {center: [0,0], radius: 1000, maxAge: NaN}, true, false, undefined, NaN, [], "a", 1];
 
 // Create global variables to hold the Firebase and JeoFire variables
 var jeoFireRef, jeoFire, jeoQueries = [];
@@ -68,10 +76,17 @@ function generateRandomString() {
   return text;
 }
 
-/* Returns the current data in the Firebase */
+/* Returns the current data in the Firebase, without the server timestamp of each location after checking it */
 function getFirebaseData() {
   return jeoFireRef.once("value").then(function(dataSnapshot) {
-    return dataSnapshot.exportVal();
+    var firebaseData = dataSnapshot.exportVal();
+    if (firebaseData !== null) {
+      Object.keys(firebaseData).forEach(function(key) {
+        expect(firebaseData[key].t).toEqual(jasmine.any(Number));
+        delete firebaseData[key].t;
+      });
+    }
+    return firebaseData;
   });
 };
 
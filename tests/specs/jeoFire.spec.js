@@ -18,6 +18,67 @@ describe("JeoFire Tests:", function() {
     it("Constructor does not throw errors given valid Firebase references", function() {
       expect(function() { new JeoFire(jeoFireRef); }).not.toThrow();
     });
+
+    it("Constructor does not throw errors given valid options", function() {
+      [undefined, {}, {precision: 1}, {precision: 6}, {precision: 22}, {history: {ref: jeoFireRef.parent.push()}}, {history: {ref: jeoFireRef.parent.push(), maxEntries: 5}}, {writeBuffer: {}}, {writeBuffer: {flushIntervalMs: 100}}, {batch: {chunkSize: 10, concurrency: 2, onProgress: function() {}}}].forEach(function(validOptions) {
+        expect(function() { new JeoFire(jeoFireRef, validOptions); }).not.toThrow();
+      });
+    });
+
+    it("Constructor throws errors given invalid options", function() {
+      [null, "a", 1, [], {precision: 0}, {precision: 23}, {precision: 1.5}, {precision: "6"}, {a: 1}, {history: true}, {history: {}}, {history: {ref: "a"}}, {history: {ref: jeoFireRef, maxEntries: 0}}, {history: {ref: jeoFireRef, maxEntries: 1.5}}, {history: {ref: jeoFireRef, a: 1}}, {writeBuffer: true}, {writeBuffer: {flushIntervalMs: -1}}, {writeBuffer: {a: 1}}, {batch: null}, {batch: {chunkSize: 0}}, {batch: {concurrency: 1.5}}, {batch: {onProgress: "a"}}, {batch: {a: 1}}].forEach(function(invalidOptions) {
+        expect(function() { new JeoFire(jeoFireRef, invalidOptions); }).toThrow();
+      });
+    });
+  });
+
+  describe("Custom precision:", function() {
+    it("set() stores jeohashes with the configured precision", function(done) {
+      var cl = new Checklist(["p1", "p2"], expect, done);
+      var lowPrecisionJeoFire = new JeoFire(jeoFireRef, {precision: 4});
+
+      lowPrecisionJeoFire.set("loc1", [37.7853074, -122.4054274]).then(function() {
+        cl.x("p1");
+
+        return getFirebaseData();
+      }).then(function(firebaseData) {
+        expect(firebaseData).toEqual({
+          "loc1": { ".priority": "9q8y", "l": { "0": 37.7853074, "1": -122.4054274 }, "g": "9q8y" }
+        });
+
+        cl.x("p2");
+      }).catch(failTestOnCaughtError);
+    });
+
+    it("set() allows longer keys given a lower precision", function() {
+      var key = new Array(751).join("a");
+
+      expect(function() { jeoFire.set(key, [0, 0]); }).toThrow();
+      expect(function() { new JeoFire(jeoFireRef, {precision: 4}).set(key, [0, 0]); }).not.toThrow();
+    });
+
+    it("query() and queryOnce() find locations stored with a custom precision", function(done) {
+      var cl = new Checklist(["p1", "p2", "loc1 entered", "loc2 entered"], expect, done);
+      var lowPrecisionJeoFire = new JeoFire(jeoFireRef, {precision: 3});
+
+      lowPrecisionJeoFire.set({
+        "loc1": [0, 0],
+        "loc2": [0.01, 0.01],
+        "loc3": [1, 1]
+      }).then(function() {
+        cl.x("p1");
+
+        return lowPrecisionJeoFire.queryOnce({center: [0, 0], radius: 5});
+      }).then(function(results) {
+        expect(results.map(function(result) { return result.key; })).toEqual(["loc1", "loc2"]);
+        cl.x("p2");
+
+        jeoQueries.push(lowPrecisionJeoFire.query({center: [0, 0], radius: 5}));
+        jeoQueries[0].on("key_entered", function(key) {
+          cl.x(key + " entered");
+        });
+      }).catch(failTestOnCaughtError);
+    });
   });
 
   describe("ref():", function() {
@@ -501,6 +562,132 @@ describe("JeoFire Tests:", function() {
         }
       });
     });
+
+    it("set() writes large mappings in chunks and reports the progress", function(done) {
+      var cl = new Checklist(["p1", "p2"], expect, done);
+      var progress = [];
+      var batchJeoFire = new JeoFire(jeoFireRef, {batch: {chunkSize: 2, concurrency: 2, onProgress: function(counts) {
+        progress.push(counts);
+      }}});
+      spyOn(jeoFireRef, "update").and.callThrough();
+
+      batchJeoFire.set({
+        "loc1": [0, 0],
+        "loc2": [50, 50],
+        "loc3": [-90, -90],
+        "loc4": [2, 3],
+        "loc5": [1, 1]
+      }).then(function(result) {
+        expect(result).toEqual({written: 5, failedKeys: [], errors: []});
+        expect(jeoFireRef.update.calls.count()).toBe(3);
+        expect(progress.length).toBe(3);
+        expect(progress[2]).toEqual({written: 5, failed: 0, total: 5});
+        cl.x("p1");
+
+        return batchJeoFire.getMany(["loc1", "loc3", "loc5"]);
+      }).then(function(records) {
+        expect(records.loc1.location).toEqual([0, 0]);
+        expect(records.loc3.location).toEqual([-90, -90]);
+        expect(records.loc5.location).toEqual([1, 1]);
+        cl.x("p2");
+      }).catch(failTestOnCaughtError);
+    });
+
+    it("set() reports the keys of failed chunks instead of rejecting", function(done) {
+      var cl = new Checklist(["p1", "p2"], expect, done);
+      var batchJeoFire = new JeoFire(jeoFireRef, {batch: {chunkSize: 2}});
+      var update = jeoFireRef.update.bind(jeoFireRef);
+      spyOn(jeoFireRef, "update").and.callFake(function(newData) {
+        return ("loc3" in newData) ? Promise.reject(new Error("permission_denied")) : update(newData);
+      });
+
+      batchJeoFire.set({
+        "loc1": [0, 0],
+        "loc2": [50, 50],
+        "loc3": [-90, -90],
+        "loc4": [2, 3],
+        "loc5": [1, 1]
+      }).then(function(result) {
+        expect(result.written).toBe(3);
+        expect(result.failedKeys).toEqual(["loc3", "loc4"]);
+        expect(result.errors.length).toBe(1);
+        expect(result.errors[0].message).toBe("permission_denied");
+        cl.x("p1");
+
+        return batchJeoFire.getMany(["loc3", "loc5"]);
+      }).then(function(records) {
+        expect(records.loc3).toBeNull();
+        expect(records.loc5.location).toEqual([1, 1]);
+        cl.x("p2");
+      }).catch(failTestOnCaughtError);
+    });
+  });
+
+  describe("Adding location metadata via set():", function() {
+    it("set() stores the data, uid and complete flag given a metadata object", function(done) {
+      var cl = new Checklist(["p1", "p2"], expect, done);
+
+      jeoFire.set("loc1", [0, 0], {data: {name: "Job 1", stops: [1, 2]}, uid: "u1", complete: false}).then(function() {
+        cl.x("p1");
+
+        return getFirebaseData();
+      }).then(function(firebaseData) {
+        expect(firebaseData).toEqual({
+          "loc1": { ".priority": "7zzzzzzzzz", "l": { "0": 0, "1": 0 }, "g": "7zzzzzzzzz", "u": "u1", "c": false, "d": { "name": "Job 1", "stops": { "0": 1, "1": 2 } } }
+        });
+
+        cl.x("p2");
+      }).catch(failTestOnCaughtError);
+    });
+
+    it("set() still accepts the complete flag and uid as separate arguments", function(done) {
+      var cl = new Checklist(["p1", "p2"], expect, done);
+
+      jeoFire.set("loc1", [0, 0], true, "u1").then(function() {
+        cl.x("p1");
+
+        return getFirebaseData();
+      }).then(function(firebaseData) {
+        expect(firebaseData).toEqual({
+          "loc1": { ".priority": "7zzzzzzzzz", "l": { "0": 0, "1": 0 }, "g": "7zzzzzzzzz", "u": "u1", "c": true }
+        });
+
+        cl.x("p2");
+      }).catch(failTestOnCaughtError);
+    });
+
+    it("set() stores the metadata of each entry given multiple locations", function(done) {
+      var cl = new Checklist(["p1", "p2"], expect, done);
+
+      jeoFire.set({
+        "loc1": [0, 0],
+        "loc2": {location: [0, 0], data: "payload", uid: "u2"},
+        "loc3": {location: [0, 0], complete: true}
+      }, undefined, {uid: "u1", complete: false}).then(function() {
+        cl.x("p1");
+
+        return getFirebaseData();
+      }).then(function(firebaseData) {
+        expect(firebaseData).toEqual({
+          "loc1": { ".priority": "7zzzzzzzzz", "l": { "0": 0, "1": 0 }, "g": "7zzzzzzzzz", "u": "u1", "c": false },
+          "loc2": { ".priority": "7zzzzzzzzz", "l": { "0": 0, "1": 0 }, "g": "7zzzzzzzzz", "u": "u2", "c": false, "d": "payload" },
+          "loc3": { ".priority": "7zzzzzzzzz", "l": { "0": 0, "1": 0 }, "g": "7zzzzzzzzz", "u": "u1", "c": true }
+        });
+
+        cl.x("p2");
+      }).catch(failTestOnCaughtError);
+    });
+
+    it("set() throws errors given invalid metadata", function() {
+      [{complete: "yes"}, {uid: 1}, {uid: ""}, {data: null}, {data: NaN}, {data: {"a.b": 1}}, {data: {a: undefined}}, {random: 1}].forEach(function(invalidMetadata) {
+        expect(function() { jeoFire.set("loc1", [0, 0], invalidMetadata); }).toThrow();
+        expect(function() { jeoFire.set({"loc1": [0, 0]}, undefined, invalidMetadata); }).toThrow();
+      });
+      expect(function() { jeoFire.set("loc1", [0, 0], "yes"); }).toThrow();
+      expect(function() { jeoFire.set("loc1", [0, 0], {uid: "u1"}, "u2"); }).toThrow();
+      expect(function() { jeoFire.set({"loc1": {location: [0, 0], random: 1}}); }).toThrow();
+      expect(function() { jeoFire.set({"loc1": {data: 1}}); }).toThrow();
+    });
   });
 
   describe("Retrieving locations:", function() {
@@ -533,22 +720,85 @@ describe("JeoFire Tests:", function() {
         cl.x("p1");
 
         return jeoFire.get("loc1");
-      }).then(function(location) {
-        expect(location).toEqual([0, 0]);
+      }).then(function(record) {
+        expect(record.location).toEqual([0, 0]);
         cl.x("p2");
 
         return jeoFire.get("loc2");
-      }).then(function(location) {
-        expect(location).toEqual([50, 50]);
+      }).then(function(record) {
+        expect(record.location).toEqual([50, 50]);
         cl.x("p3");
 
         return jeoFire.get("loc3");
-      }).then(function(location) {
-        expect(location).toEqual([-90, -90]);
+      }).then(function(record) {
+        expect(record.location).toEqual([-90, -90]);
         cl.x("p4");
       }).catch(failTestOnCaughtError);
     });
 
+    it("get() retrieves location records including their metadata", function(done) {
+      var cl = new Checklist(["p1", "p2", "p3"], expect, done);
+
+      jeoFire.set({
+        "loc1": [0, 0],
+        "loc2": {location: [50, 50], uid: "u1", complete: true, data: {name: "Job 2"}}
+      }).then(function() {
+        cl.x("p1");
+
+        return jeoFire.get("loc1");
+      }).then(function(record) {
+        expect(record).toEqual({location: [0, 0], jeohash: "7zzzzzzzzz", uid: null, complete: false, data: null, timestamp: jasmine.any(Number)});
+        cl.x("p2");
+
+        return jeoFire.get("loc2");
+      }).then(function(record) {
+        expect(record).toEqual({location: [50, 50], jeohash: "v0gs3y0zh7", uid: "u1", complete: true, data: {name: "Job 2"}, timestamp: jasmine.any(Number)});
+        cl.x("p3");
+      }).catch(failTestOnCaughtError);
+    });
+
+    it("get() rejects given a node which is not a JeoFire location", function(done) {
+      var cl = new Checklist(["p1", "p2"], expect, done);
+
+      jeoFireRef.child("loc1").set({l: [0, 0], g: "7zzzzzzzzz", c: "yes"}).then(function() {
+        cl.x("p1");
+
+        return jeoFire.get("loc1");
+      }).then(function() {
+        throw new Error("get() should have rejected");
+      }, function(error) {
+        expect(error.message).toContain("Unexpected JeoFire location object");
+        cl.x("p2");
+      }).catch(failTestOnCaughtError);
+    });
+
+    it("getMany() retrieves the location records of several keys, with null for missing keys", function(done) {
+      var cl = new Checklist(["p1", "p2"], expect, done);
+
+      jeoFire.set({
+        "loc1": [0, 0],
+        "loc2": {location: [50, 50], uid: "u1"}
+      }).then(function() {
+        cl.x("p1");
+
+        return jeoFire.getMany(["loc1", "loc2", "loc3"]);
+      }).then(function(records) {
+        expect(Object.keys(records).sort()).toEqual(["loc1", "loc2", "loc3"]);
+        expect(records.loc1.location).toEqual([0, 0]);
+        expect(records.loc2.location).toEqual([50, 50]);
+        expect(records.loc2.uid).toBe("u1");
+        expect(records.loc3).toBeNull();
+        cl.x("p2");
+      }).catch(failTestOnCaughtError);
+    });
+
+    it("getMany() throws errors given invalid keys", function() {
+      expect(function() { jeoFire.getMany("loc1"); }).toThrow();
+      invalidKeys.forEach(function(invalidKey) {
+        expect(function() { jeoFire.getMany(["loc1", invalidKey]); }).toThrow();
+      });
+    });
+
     it("get() does not throw errors given valid keys", function() {
       validKeys.forEach(function(validKey) {
         expect(function() { jeoFire.get(validKey); }).not.toThrow();
@@ -562,6 +812,391 @@ describe("JeoFire Tests:", function() {
     });
   });
 
+  describe("Transactions:", function() {
+    it("transaction() passes the current location record to updateFn and writes the returned location", function(done) {
+      var cl = new Checklist(["p1", "p2", "p3"], expect, done);
+
+      jeoFire.set("loc1", [0, 0], {uid: "u1"}).then(function() {
+        cl.x("p1");
+
+        return jeoFire.transaction("loc1", function(record) {
+          if (record === null) {
+            return null;
+          }
+          return {location: [50, 50], uid: record.uid, complete: true};
+        });
+      }).then(function(result) {
+        expect(result.committed).toBe(true);
+        expect(result.record).toEqual({location: [50, 50], jeohash: "v0gs3y0zh7", uid: "u1", complete: true, data: null, timestamp: jasmine.any(Number)});
+        cl.x("p2");
+
+        return getFirebaseData();
+      }).then(function(firebaseData) {
+        expect(firebaseData).toEqual({
+          "loc1": { ".priority": "v0gs3y0zh7", "l": { "0": 50, "1": 50 }, "g": "v0gs3y0zh7", "u": "u1", "c": true }
+        });
+
+        cl.x("p3");
+      }).catch(failTestOnCaughtError);
+    });
+
+    it("transaction() aborts given undefined and removes the key given null", function(done) {
+      var cl = new Checklist(["p1", "p2", "p3"], expect, done);
+
+      jeoFire.set("loc1", [0, 0]).then(function() {
+        cl.x("p1");
+
+        return jeoFire.transaction("loc1", function(record) {
+          // updateFn is first called with null while the key is not cached, so only abort once it is loaded
+          return (record === null) ? null : undefined;
+        });
+      }).then(function(result) {
+        expect(result.committed).toBe(false);
+
+        return jeoFire.get("loc1");
+      }).then(function(record) {
+        expect(record.location).toEqual([0, 0]);
+        cl.x("p2");
+
+        return jeoFire.transaction("loc1", function() {
+          return null;
+        });
+      }).then(function() {
+        return jeoFire.get("loc1");
+      }).then(function(record) {
+        expect(record).toBeNull();
+        cl.x("p3");
+      }).catch(failTestOnCaughtError);
+    });
+
+    it("transaction() throws errors given invalid arguments", function() {
+      invalidKeys.forEach(function(invalidKey) {
+        expect(function() { jeoFire.transaction(invalidKey, function() {}); }).toThrow();
+      });
+      expect(function() { jeoFire.transaction("loc1", "function"); }).toThrow();
+    });
+
+    it("setIfAbsent() only adds the location if the key does not exist", function(done) {
+      var cl = new Checklist(["p1", "p2", "p3"], expect, done);
+
+      jeoFire.setIfAbsent("spot1", [0, 0], {uid: "u1"}).then(function(result) {
+        expect(result.committed).toBe(true);
+        expect(result.record.uid).toBe("u1");
+        cl.x("p1");
+
+        return jeoFire.setIfAbsent("spot1", [1, 1], {uid: "u2"});
+      }).then(function(result) {
+        expect(result.committed).toBe(false);
+        expect(result.record.location).toEqual([0, 0]);
+        expect(result.record.uid).toBe("u1");
+        cl.x("p2");
+
+        return jeoFire.get("spot1");
+      }).then(function(record) {
+        expect(record.uid).toBe("u1");
+        cl.x("p3");
+      }).catch(failTestOnCaughtError);
+    });
+
+    it("setIfAbsent() throws errors given invalid arguments", function() {
+      invalidKeys.forEach(function(invalidKey) {
+        expect(function() { jeoFire.setIfAbsent(invalidKey, [0, 0]); }).toThrow();
+      });
+      invalidLocations.forEach(function(invalidLocation) {
+        expect(function() { jeoFire.setIfAbsent("loc1", invalidLocation); }).toThrow();
+      });
+      expect(function() { jeoFire.setIfAbsent("loc1", [0, 0], {random: 1}); }).toThrow();
+    });
+  });
+
+  describe("Write buffer:", function() {
+    it("set() and remove() calls within a flush window are written in a single update", function(done) {
+      var cl = new Checklist(["p1", "p2", "p3", "p4", "p5"], expect, done);
+      var bufferedJeoFire = new JeoFire(jeoFireRef, {writeBuffer: {flushIntervalMs: 50}});
+      spyOn(jeoFireRef, "update").and.callThrough();
+
+      Promise.all([
+        bufferedJeoFire.set("loc1", [0, 0]).then(function() {
+          cl.x("p1");
+        }),
+        bufferedJeoFire.set({"loc1": [1, 1], "loc2": [2, 2], "loc3": [3, 3]}).then(function() {
+          cl.x("p2");
+        }),
+        bufferedJeoFire.remove("loc3").then(function() {
+          cl.x("p3");
+        })
+      ]).then(function() {
+        expect(jeoFireRef.update.calls.count()).toBe(1);
+        cl.x("p4");
+
+        return getFirebaseData();
+      }).then(function(firebaseData) {
+        expect(firebaseData).toEqual({
+          "loc1": { ".priority": "s00twy01mt", "l": { "0": 1, "1": 1 }, "g": "s00twy01mt" },
+          "loc2": { ".priority": "s037ms06g7", "l": { "0": 2, "1": 2 }, "g": "s037ms06g7" }
+        });
+        cl.x("p5");
+      }).catch(failTestOnCaughtError);
+    });
+
+    it("flush() writes the buffered locations right away", function(done) {
+      var cl = new Checklist(["p1", "p2", "p3"], expect, done);
+      var bufferedJeoFire = new JeoFire(jeoFireRef, {writeBuffer: {flushIntervalMs: 60000}});
+
+      bufferedJeoFire.set("loc1", [0, 0]).then(function() {
+        cl.x("p1");
+      });
+
+      bufferedJeoFire.flush().then(function() {
+        cl.x("p2");
+
+        return bufferedJeoFire.get("loc1");
+      }).then(function(record) {
+        expect(record.location).toEqual([0, 0]);
+
+        // Flushing an empty buffer resolves right away
+        return bufferedJeoFire.flush();
+      }).then(function() {
+        cl.x("p3");
+      }).catch(failTestOnCaughtError);
+    });
+
+    it("set() fulfills buffered mappings with the same result as unbuffered ones", function(done) {
+      var cl = new Checklist(["p1"], expect, done);
+      var bufferedJeoFire = new JeoFire(jeoFireRef, {writeBuffer: {flushIntervalMs: 10}});
+
+      bufferedJeoFire.set({"loc1": [1, 1], "loc2": [2, 2]}).then(function(result) {
+        expect(result).toEqual({written: 2, failedKeys: [], errors: []});
+        cl.x("p1");
+      }).catch(failTestOnCaughtError);
+    });
+
+    it("flushes are written in chunks which report their progress and failed keys", function(done) {
+      var cl = new Checklist(["p1", "p2", "p3"], expect, done);
+      var progress = [];
+      var bufferedJeoFire = new JeoFire(jeoFireRef, {writeBuffer: {flushIntervalMs: 10}, batch: {chunkSize: 2, onProgress: function(counts) {
+        progress.push(counts);
+      }}});
+      var update = jeoFireRef.update.bind(jeoFireRef);
+      spyOn(jeoFireRef, "update").and.callFake(function(newData) {
+        return ("loc3" in newData) ? Promise.reject(new Error("permission_denied")) : update(newData);
+      });
+
+      Promise.all([
+        bufferedJeoFire.set({"loc1": [0, 0], "loc2": [50, 50], "loc3": [-90, -90], "loc4": [2, 3]}),
+        bufferedJeoFire.set("loc5", [1, 1]).then(function() {
+          cl.x("p1");
+        })
+      ]).then(function(results) {
+        expect(results[0].written).toBe(2);
+        expect(results[0].failedKeys).toEqual(["loc3", "loc4"]);
+        expect(results[0].errors.length).toBe(1);
+        expect(results[0].errors[0].message).toBe("permission_denied");
+        expect(jeoFireRef.update.calls.count()).toBe(3);
+        expect(progress.length).toBe(3);
+        expect(progress[2]).toEqual({written: 3, failed: 2, total: 5});
+        cl.x("p2");
+
+        return bufferedJeoFire.getMany(["loc3", "loc5"]);
+      }).then(function(records) {
+        expect(records.loc3).toBeNull();
+        expect(records.loc5.location).toEqual([1, 1]);
+        cl.x("p3");
+      }).catch(failTestOnCaughtError);
+    });
+
+    it("flush() waits for a flush which is already in flight", function(done) {
+      var cl = new Checklist(["p1", "p2"], expect, done);
+      var bufferedJeoFire = new JeoFire(jeoFireRef, {writeBuffer: {flushIntervalMs: 0}});
+      var update = jeoFireRef.update.bind(jeoFireRef);
+      var written = false;
+      spyOn(jeoFireRef, "update").and.callFake(function(newData) {
+        return wait(100).then(function() {
+          return update(newData);
+        }).then(function() {
+          written = true;
+        });
+      });
+
+      bufferedJeoFire.set("loc1", [0, 0]);
+      wait(20).then(function() {
+        expect(jeoFireRef.update.calls.count()).toBe(1);
+        cl.x("p1");
+
+        return bufferedJeoFire.flush();
+      }).then(function() {
+        expect(written).toBe(true);
+        cl.x("p2");
+      }).catch(failTestOnCaughtError);
+    });
+
+    it("set() still throws errors given invalid locations with the write buffer enabled", function() {
+      var bufferedJeoFire = new JeoFire(jeoFireRef, {writeBuffer: {}});
+      invalidLocations.forEach(function(invalidLocation) {
+        // Setting location to null is valid since it will remove the key
+        if (invalidLocation !== null) {
+          expect(function() { bufferedJeoFire.set("loc", invalidLocation); }).toThrow();
+        }
+      });
+      invalidKeys.forEach(function(invalidKey) {
+        expect(function() { bufferedJeoFire.set(invalidKey, [0, 0]); }).toThrow();
+      });
+    });
+  });
+
+  describe("Location history:", function() {
+    var historyRef;
+
+    beforeEach(function() {
+      historyRef = jeoFireRef.parent.push();
+    });
+
+    afterEach(function(done) {
+      historyRef.remove().then(done);
+    });
+
+    it("set() appends each added location to the trail of its key", function(done) {
+      var cl = new Checklist(["p1", "p2", "p3"], expect, done);
+      var historyJeoFire = new JeoFire(jeoFireRef, {history: {ref: historyRef}});
+
+      historyJeoFire.set("loc1", [0, 0]).then(function() {
+        return historyJeoFire.set({"loc1": [1, 1], "loc2": [2, 2]});
+      }).then(function() {
+        return historyJeoFire.remove("loc2");
+      }).then(function() {
+        cl.x("p1");
+
+        return historyJeoFire.history("loc1");
+      }).then(function(trail) {
+        expect(trail.map(function(entry) { return entry.location; })).toEqual([[0, 0], [1, 1]]);
+        expect(trail[0].timestamp).toEqual(jasmine.any(Number));
+        expect(trail[0].timestamp).not.toBeGreaterThan(trail[1].timestamp);
+        cl.x("p2");
+
+        return historyJeoFire.history("loc2");
+      }).then(function(trail) {
+        expect(trail.map(function(entry) { return entry.location; })).toEqual([[2, 2]]);
+        cl.x("p3");
+      }).catch(failTestOnCaughtError);
+    });
+
+    it("history() reads the trail within a time range and limits it to its most recent entries", function(done) {
+      var cl = new Checklist(["p1", "p2", "p3", "p4"], expect, done);
+      var historyJeoFire = new JeoFire(jeoFireRef, {history: {ref: historyRef}});
+      var timestamps;
+
+      historyJeoFire.set("loc1", [0, 0]).then(function() {
+        return wait(50);
+      }).then(function() {
+        return historyJeoFire.set("loc1", [1, 1]);
+      }).then(function() {
+        return historyJeoFire.set("loc1", [2, 2]);
+      }).then(function() {
+        cl.x("p1");
+
+        return historyJeoFire.history("loc1");
+      }).then(function(trail) {
+        timestamps = trail.map(function(entry) { return entry.timestamp; });
+        cl.x("p2");
+
+        return historyJeoFire.history("loc1", {limit: 2});
+      }).then(function(trail) {
+        expect(trail.map(function(entry) { return entry.location; })).toEqual([[1, 1], [2, 2]]);
+        cl.x("p3");
+
+        return historyJeoFire.history("loc1", {from: timestamps[0] - 1000, to: timestamps[1] - 1});
+      }).then(function(trail) {
+        expect(trail.map(function(entry) { return entry.location; })).toEqual([[0, 0]]);
+        cl.x("p4");
+      }).catch(failTestOnCaughtError);
+    });
+
+    it("set() prunes the oldest entries once a trail exceeds maxEntries", function(done) {
+      var cl = new Checklist(["p1", "p2"], expect, done);
+      var historyJeoFire = new JeoFire(jeoFireRef, {history: {ref: historyRef, maxEntries: 2}});
+
+      historyJeoFire.set("loc1", [0, 0]).then(function() {
+        return historyJeoFire.set("loc1", [1, 1]);
+      }).then(function() {
+        return historyJeoFire.set("loc1", [2, 2]);
+      }).then(function() {
+        cl.x("p1");
+
+        return historyJeoFire.history("loc1");
+      }).then(function(trail) {
+        expect(trail.map(function(entry) { return entry.location; })).toEqual([[1, 1], [2, 2]]);
+        cl.x("p2");
+      }).catch(failTestOnCaughtError);
+    });
+
+    it("set() reports the errors of pruning the trails instead of failing the write", function(done) {
+      var cl = new Checklist(["p1", "p2", "p3"], expect, done);
+      var historyJeoFire = new JeoFire(jeoFireRef, {history: {ref: historyRef, maxEntries: 1}});
+      spyOn(historyRef, "update").and.callFake(function() {
+        return Promise.reject(new Error("permission_denied"));
+      });
+
+      historyJeoFire.set("loc1", [0, 0]).then(function(result) {
+        expect(result).toEqual({historyErrors: []});
+
+        return historyJeoFire.set("loc1", [1, 1]);
+      }).then(function(result) {
+        expect(result.historyErrors.length).toBe(1);
+        expect(result.historyErrors[0].message).toBe("permission_denied");
+        cl.x("p1");
+
+        return historyJeoFire.set({"loc1": [2, 2], "loc2": [3, 3]});
+      }).then(function(result) {
+        expect(result.written).toBe(2);
+        expect(result.failedKeys).toEqual([]);
+        expect(result.historyErrors.length).toBe(1);
+        cl.x("p2");
+
+        return historyJeoFire.get("loc1");
+      }).then(function(record) {
+        expect(record.location).toEqual([2, 2]);
+        cl.x("p3");
+      }).catch(failTestOnCaughtError);
+    });
+
+    it("set() prunes trails which already exceeded maxEntries", function(done) {
+      var cl = new Checklist(["p1", "p2"], expect, done);
+      var historyJeoFire = new JeoFire(jeoFireRef, {history: {ref: historyRef, maxEntries: 2}});
+
+      historyRef.child("loc1").set({
+        "-a": {l: [0, 0], t: 1},
+        "-b": {l: [1, 1], t: 2},
+        "-c": {l: [2, 2], t: 3},
+        "-d": {l: [3, 3], t: 4}
+      }).then(function() {
+        return historyJeoFire.set("loc1", [4, 4]);
+      }).then(function() {
+        cl.x("p1");
+
+        return historyJeoFire.history("loc1");
+      }).then(function(trail) {
+        expect(trail.map(function(entry) { return entry.location; })).toEqual([[3, 3], [4, 4]]);
+        cl.x("p2");
+      }).catch(failTestOnCaughtError);
+    });
+
+    it("JeoFire throws an error given a history ref in another database", function() {
+      var otherApp = firebase.apps.filter(function(app) { return app.name === "otherDatabase"; })[0] ||
+        firebase.initializeApp({databaseURL: "https://forbiddencitytest-other.firebaseio.com"}, "otherDatabase");
+
+      expect(function() { new JeoFire(jeoFireRef, {history: {ref: otherApp.database().ref("history")}}); }).toThrow();
+      expect(function() { new JeoFire(jeoFireRef, {history: {ref: jeoFireRef.root.child("history")}}); }).not.toThrow();
+    });
+
+    it("history() throws errors given invalid options or without the history option", function() {
+      var historyJeoFire = new JeoFire(jeoFireRef, {history: {ref: historyRef}});
+      [null, {from: "a"}, {to: NaN}, {from: 2, to: 1}, {limit: 0}, {limit: 1.5}, {a: 1}].forEach(function(invalidOptions) {
+        expect(function() { historyJeoFire.history("loc1", invalidOptions); }).toThrow();
+      });
+      expect(function() { jeoFire.history("loc1"); }).toThrow();
+    });
+  });
+
   describe("Removing locations:", function() {
     it("set() removes existing location given null", function(done) {
       var cl = new Checklist(["p1", "p2", "p3", "p4", "p5"], expect, done);
@@ -573,8 +1208,8 @@ describe("JeoFire Tests:", function() {
         cl.x("p1");
 
         return jeoFire.get("loc1");
-      }).then(function(location) {
-        expect(location).toEqual([0, 0]);
+      }).then(function(record) {
+        expect(record.location).toEqual([0, 0]);
 
         cl.x("p2");
 
@@ -605,8 +1240,8 @@ describe("JeoFire Tests:", function() {
         cl.x("p1");
 
         return jeoFire.get("loc1");
-      }).then(function(location) {
-        expect(location).toEqual([0, 0]);
+      }).then(function(record) {
+        expect(record.location).toEqual([0, 0]);
 
         cl.x("p2");
 
@@ -640,8 +1275,8 @@ describe("JeoFire Tests:", function() {
         cl.x("p1");
 
         return jeoFire.get("loc1");
-      }).then(function(location) {
-        expect(location).toEqual([0, 0]);
+      }).then(function(record) {
+        expect(record.location).toEqual([0, 0]);
 
         cl.x("p2");
 
@@ -679,8 +1314,8 @@ describe("JeoFire Tests:", function() {
         cl.x("p1");
 
         return jeoFire.get("loc1");
-      }).then(function(location) {
-        expect(location).toEqual([0, 0]);
+      }).then(function(record) {
+        expect(record.location).toEqual([0, 0]);
 
         cl.x("p2");
 
@@ -710,8 +1345,8 @@ describe("JeoFire Tests:", function() {
         cl.x("p1");
 
         return jeoFire.get("loc:^%*1");
-      }).then(function(location) {
-        expect(location).toEqual([0, 0]);
+      }).then(function(record) {
+        expect(record.location).toEqual([0, 0]);
 
         cl.x("p2");
 
@@ -742,8 +1377,8 @@ describe("JeoFire Tests:", function() {
         cl.x("p1");
 
         return jeoFire.get("loc1");
-      }).then(function(location) {
-        expect(location).toEqual([0, 0]);
+      }).then(function(record) {
+        expect(record.location).toEqual([0, 0]);
 
         cl.x("p2");
 
@@ -803,6 +1438,336 @@ describe("JeoFire Tests:", function() {
         expect(function() { jeoFire.remove(invalidKey); }).toThrow();
       });
     });
+
+    it("removeWithin() removes every location within the query and returns their keys", function(done) {
+      var cl = new Checklist(["p1", "p2", "p3"], expect, done);
+
+      jeoFire.set({
+        "loc1": [0, 0],
+        "loc2": [0.5, 0.5],
+        "loc3": [1, 1],
+        "loc4": [10, 10],
+        "loc5": [0.1, 0.1]
+      }).then(function() {
+        cl.x("p1");
+
+        return jeoFire.removeWithin({center: [0, 0], radius: 100});
+      }).then(function(removedKeys) {
+        expect(removedKeys).toEqual(["loc1", "loc5", "loc2"]);
+        cl.x("p2");
+
+        return getFirebaseData();
+      }).then(function(firebaseData) {
+        expect(Object.keys(firebaseData).sort()).toEqual(["loc3", "loc4"]);
+        cl.x("p3");
+      }).catch(failTestOnCaughtError);
+    });
+
+    it("removeWithin() does not remove anything given the dryRun option", function(done) {
+      var cl = new Checklist(["p1", "p2", "p3"], expect, done);
+
+      jeoFire.set({
+        "loc1": [0, 0],
+        "loc2": [10, 10]
+      }).then(function() {
+        cl.x("p1");
+
+        return jeoFire.removeWithin({bounds: [[-1, -1], [1, 1]]}, {dryRun: true});
+      }).then(function(removedKeys) {
+        expect(removedKeys).toEqual(["loc1"]);
+        cl.x("p2");
+
+        return getFirebaseData();
+      }).then(function(firebaseData) {
+        expect(Object.keys(firebaseData).sort()).toEqual(["loc1", "loc2"]);
+        cl.x("p3");
+      }).catch(failTestOnCaughtError);
+    });
+
+    it("removeWithin() reports its progress to its own onProgress option instead of batch.onProgress", function(done) {
+      var cl = new Checklist(["p1", "p2"], expect, done);
+      var batchProgress = [];
+      var removalProgress = [];
+      var batchJeoFire = new JeoFire(jeoFireRef, {batch: {chunkSize: 2, onProgress: function(progress) {
+        batchProgress.push(progress);
+      }}});
+
+      batchJeoFire.set({
+        "loc1": [0, 0],
+        "loc2": [0.1, 0.1],
+        "loc3": [0.2, 0.2]
+      }).then(function() {
+        expect(batchProgress.length).toBe(2);
+        cl.x("p1");
+
+        return batchJeoFire.removeWithin({center: [0, 0], radius: 100}, {onProgress: function(progress) {
+          removalProgress.push(progress);
+        }});
+      }).then(function(keys) {
+        expect(keys).toEqual(["loc1", "loc2", "loc3"]);
+        expect(batchProgress.length).toBe(2);
+        expect(removalProgress[removalProgress.length - 1]).toEqual({written: 3, failed: 0, total: 3});
+        cl.x("p2");
+      }).catch(failTestOnCaughtError);
+    });
+
+    it("removeWithin() throws errors given invalid query criteria or options", function() {
+      invalidQueryCriterias.forEach(function(invalidQueryCriteria) {
+        expect(function() { jeoFire.removeWithin(invalidQueryCriteria); }).toThrow();
+      });
+      [null, {dryRun: 1}, {onProgress: 1}, {a: 1}].forEach(function(invalidOptions) {
+        expect(function() { jeoFire.removeWithin({center: [0, 0], radius: 1}, invalidOptions); }).toThrow();
+      });
+    });
+
+    it("removeExpired() removes locations older than the given age and keeps the others", function(done) {
+      var cl = new Checklist(["p1", "p2", "p3"], expect, done);
+      var old = new Date().getTime() - 60000;
+
+      jeoFireRef.update({
+        "loc1": {".priority": "7zzzzzzzzz", "g": "7zzzzzzzzz", "l": [0, 0], "t": old},
+        "loc2": {".priority": "s065kk0dc5", "g": "s065kk0dc5", "l": [2, 3], "t": old},
+        "loc3": {".priority": "s065kk0dc5", "g": "s065kk0dc5", "l": [2, 3]}
+      }).then(function() {
+        return jeoFire.set("loc4", [1, 1]);
+      }).then(function() {
+        cl.x("p1");
+
+        return jeoFire.removeExpired(10000);
+      }).then(function(numRemoved) {
+        expect(numRemoved).toBe(2);
+        cl.x("p2");
+
+        return jeoFireRef.once("value");
+      }).then(function(dataSnapshot) {
+        expect(Object.keys(dataSnapshot.val()).sort()).toEqual(["loc3", "loc4"]);
+        cl.x("p3");
+      }).catch(failTestOnCaughtError);
+    });
+
+    it("removeExpired() throws errors given invalid ages", function() {
+      [-1, NaN, "1h", null, undefined, {}].forEach(function(invalidAge) {
+        expect(function() { jeoFire.removeExpired(invalidAge); }).toThrow();
+      });
+    });
+  });
+
+  describe("queryOnce():", function() {
+    it("queryOnce() returns the locations within the query sorted by distance", function(done) {
+      var cl = new Checklist(["p1", "p2"], expect, done);
+
+      jeoFire.set({
+        "loc1": [1, 1],
+        "loc2": [0, 0],
+        "loc3": [1, 2],
+        "loc4": [50, 50]
+      }).then(function() {
+        cl.x("p1");
+
+        return jeoFire.queryOnce({center: [0, 0], radius: 200});
+      }).then(function(results) {
+        expect(results.map(function(result) { return result.key; })).toEqual(["loc2", "loc1"]);
+        expect(results[0].location).toEqual([0, 0]);
+        expect(results[0].distance).toBeCloseTo(0, 5);
+        expect(results[1].distance).toBeCloseTo(157.2, 1);
+
+        cl.x("p2");
+      }).catch(failTestOnCaughtError);
+    });
+
+    it("queryOnce() supports bounds, polygons, corridors and circles", function(done) {
+      var cl = new Checklist(["p1", "p2", "p3", "p4", "p5"], expect, done);
+
+      jeoFire.set({
+        "loc1": [1, 1],
+        "loc2": [0.5, 3],
+        "loc3": [3, 3]
+      }).then(function() {
+        cl.x("p1");
+
+        return jeoFire.queryOnce({bounds: [[0, 0], [2, 4]]});
+      }).then(function(results) {
+        expect(results.map(function(result) { return result.key; }).sort()).toEqual(["loc1", "loc2"]);
+        cl.x("p2");
+
+        return jeoFire.queryOnce({polygon: [[0, 0], [0, 4], [4, 0]]});
+      }).then(function(results) {
+        expect(results.map(function(result) { return result.key; }).sort()).toEqual(["loc1", "loc2"]);
+        cl.x("p3");
+
+        return jeoFire.queryOnce({corridor: {path: [[3, 0], [3, 4]], buffer: 10}});
+      }).then(function(results) {
+        expect(results.map(function(result) { return result.key; })).toEqual(["loc3"]);
+        expect(results[0].details.segment).toBe(0);
+        cl.x("p4");
+
+        return jeoFire.queryOnce({circles: [{center: [1, 1], radius: 10}, {center: [3, 3.05], radius: 10}]});
+      }).then(function(results) {
+        expect(results.map(function(result) { return result.key; })).toEqual(["loc1", "loc3"]);
+        expect(results[1].details.circles).toEqual([1]);
+        cl.x("p5");
+      }).catch(failTestOnCaughtError);
+    });
+
+    it("queryOnce() returns legacy locations with malformed metadata", function(done) {
+      var cl = new Checklist(["p1", "p2"], expect, done);
+
+      jeoFireRef.child("loc1").setWithPriority({g: "s065kk0dc5", l: [2, 3], c: "yes", u: 7}, "s065kk0dc5").then(function() {
+        return jeoFire.set("loc2", [2, 3]);
+      }).then(function() {
+        cl.x("p1");
+
+        return jeoFire.queryOnce({center: [1, 2], radius: 1000});
+      }).then(function(results) {
+        expect(results.map(function(result) { return result.key; }).sort()).toEqual(["loc1", "loc2"]);
+        var legacy = results.filter(function(result) { return result.key === "loc1"; })[0];
+        expect(legacy.complete).toBe(false);
+        expect(legacy.uid).toBe("7");
+        cl.x("p2");
+      }).catch(failTestOnCaughtError);
+    });
+
+    it("queryOnce() only returns locations passing the filter", function(done) {
+      var cl = new Checklist(["p1", "p2", "p3"], expect, done);
+
+      jeoFire.set("loc1", [1, 1], false, "u1").then(function() {
+        return jeoFire.set("loc2", [0, 0], true, "u1");
+      }).then(function() {
+        return jeoFire.set("loc3", [0.5, 0.5], false, "u2");
+      }).then(function() {
+        cl.x("p1");
+
+        return jeoFire.queryOnce({center: [0, 0], radius: 200, filter: {complete: false}});
+      }).then(function(results) {
+        expect(results.map(function(result) { return result.key; })).toEqual(["loc3", "loc1"]);
+        cl.x("p2");
+
+        return jeoFire.queryOnce({center: [0, 0], radius: 200, filter: function(key, location, uid) {
+          return uid === "u1";
+        }});
+      }).then(function(results) {
+        expect(results.map(function(result) { return result.key; })).toEqual(["loc2", "loc1"]);
+        cl.x("p3");
+      }).catch(failTestOnCaughtError);
+    });
+
+    it("queryOnce() only returns locations written within maxAge", function(done) {
+      var cl = new Checklist(["p1", "p2"], expect, done);
+
+      jeoFireRef.child("loc1").setWithPriority({g: "7zzzzzzzzz", l: [0, 0], t: new Date().getTime() - 60000}, "7zzzzzzzzz").then(function() {
+        return jeoFire.set("loc2", [0.5, 0.5]);
+      }).then(function() {
+        cl.x("p1");
+
+        return jeoFire.queryOnce({center: [0, 0], radius: 200, maxAge: 10000});
+      }).then(function(results) {
+        expect(results.map(function(result) { return result.key; })).toEqual(["loc2"]);
+        expect(results[0].timestamp).toEqual(jasmine.any(Number));
+        cl.x("p2");
+      }).catch(failTestOnCaughtError);
+    });
+
+    it("queryOnce() returns an empty array if no locations are within the query", function(done) {
+      var cl = new Checklist(["p1"], expect, done);
+
+      jeoFire.queryOnce({center: [0, 0], radius: 10}).then(function(results) {
+        expect(results).toEqual([]);
+        cl.x("p1");
+      }).catch(failTestOnCaughtError);
+    });
+
+    it("queryOnce() throws errors given invalid query criteria", function() {
+      invalidQueryCriterias.forEach(function(invalidQueryCriteria) {
+        expect(function() { jeoFire.queryOnce(invalidQueryCriteria); }).toThrow();
+      });
+    });
+  });
+
+  describe("nearest():", function() {
+    it("nearest() returns the k closest locations sorted by distance", function(done) {
+      var cl = new Checklist(["p1", "p2"], expect, done);
+
+      jeoFire.set({
+        "loc1": [0, 0.5],
+        "loc2": [0, 0.001],
+        "loc3": [2, 2],
+        "loc4": [-5, 5],
+        "loc5": [40, 40]
+      }).then(function() {
+        cl.x("p1");
+
+        return jeoFire.nearest([0, 0], 3);
+      }).then(function(results) {
+        expect(results.map(function(result) { return result.key; })).toEqual(["loc2", "loc1", "loc3"]);
+        expect(results[0].distance).toBeCloseTo(0.11, 2);
+        expect(results[2].location).toEqual([2, 2]);
+
+        cl.x("p2");
+      }).catch(failTestOnCaughtError);
+    });
+
+    it("nearest() returns fewer than k locations if there are not enough within the maximum distance", function(done) {
+      var cl = new Checklist(["p1", "p2"], expect, done);
+
+      jeoFire.set({
+        "loc1": [0, 0.5],
+        "loc2": [2, 2],
+        "loc3": [40, 40]
+      }).then(function() {
+        cl.x("p1");
+
+        return jeoFire.nearest([0, 0], 3, {initialRadius: 10, maxDistance: 400});
+      }).then(function(results) {
+        expect(results.map(function(result) { return result.key; })).toEqual(["loc1", "loc2"]);
+
+        cl.x("p2");
+      }).catch(failTestOnCaughtError);
+    });
+
+    it("nearest() throws errors given invalid parameters", function() {
+      invalidLocations.forEach(function(invalidLocation) {
+        expect(function() { jeoFire.nearest(invalidLocation, 1); }).toThrow();
+      });
+      [0, -1, 1.5, "a", null, undefined, NaN].forEach(function(invalidK) {
+        expect(function() { jeoFire.nearest([0, 0], invalidK); }).toThrow();
+      });
+      [{maxDistance: 0}, {initialRadius: -1}, {initialRadius: "a"}, {other: 1}, null, "a"].forEach(function(invalidOptions) {
+        expect(function() { jeoFire.nearest([0, 0], 1, invalidOptions); }).toThrow();
+      });
+    });
+  });
+
+  describe("density():", function() {
+    it("density() counts the locations within the area in each cell of the provided precision", function(done) {
+      var cl = new Checklist(["p1", "p2"], expect, done);
+
+      jeoFire.set({
+        "loc1": [0.5, 0.5],
+        "loc2": [0.1, 0.1],
+        "loc3": [-1, -1],
+        "loc4": [40, 40]
+      }).then(function() {
+        cl.x("p1");
+
+        return jeoFire.density({center: [0, 0], radius: 500}, 2);
+      }).then(function(records) {
+        expect(records).toEqual([
+          {cell: "7z", bounds: [[-5.625, -11.25], [0, 0]], count: 1},
+          {cell: "s0", bounds: [[0, 0], [5.625, 11.25]], count: 2}
+        ]);
+
+        cl.x("p2");
+      }).catch(failTestOnCaughtError);
+    });
+
+    it("density() throws errors given invalid parameters", function() {
+      invalidQueryCriterias.forEach(function(invalidQueryCriteria) {
+        expect(function() { jeoFire.density(invalidQueryCriteria, 2); }).toThrow();
+      });
+      [0, 23, 1.5, "a", null, undefined, NaN].forEach(function(invalidPrecision) {
+        expect(function() { jeoFire.density({center: [0, 0], radius: 1}, invalidPrecision); }).toThrow();
+      });
+    });
   });
 
   describe("query():", function() {
@@ -12,6 +12,62 @@ describe("jeoFireUtils Tests:", function() {
       });
     });
 
+    it("validateKey() takes the jeohash precision into account for long keys", function() {
+      var key = new Array(751).join("a");
+
+      expect(function() { validateKey(key); }).toThrow();
+      expect(function() { validateKey(key, 4); }).not.toThrow();
+      expect(function() { validateKey(key, 5); }).toThrow();
+    });
+
+    it("validatePrecision() does not throw errors given valid precision", function() {
+      [1, 6, 10, 22].forEach(function(validPrecision) {
+        expect(function() { validatePrecision(validPrecision); }).not.toThrow();
+      });
+    });
+
+    it("validateHistoryQueryOptions() does not throw errors given valid options", function() {
+      [undefined, {}, {from: 0}, {to: 100}, {from: 1, to: 1}, {limit: 10}].forEach(function(validOptions) {
+        expect(function() { validateHistoryQueryOptions(validOptions); }).not.toThrow();
+      });
+    });
+
+    it("validateHistoryQueryOptions() throws errors given invalid options", function() {
+      [null, 1, {from: "a"}, {to: NaN}, {from: 2, to: 1}, {limit: 0}, {limit: -1}, {limit: 1.5}, {a: 1}].forEach(function(invalidOptions) {
+        expect(function() { validateHistoryQueryOptions(invalidOptions); }).toThrow();
+      });
+    });
+
+    it("validatePrecision() throws errors given invalid precision", function() {
+      [0, -1, 1.5, 23, "", "a", true, [], {}, null, undefined].forEach(function(invalidPrecision) {
+        expect(function() { validatePrecision(invalidPrecision); }).toThrow();
+      });
+    });
+
+    it("validateLocationMetadata() does not throw errors given valid metadata", function() {
+      [{}, {complete: true}, {uid: "u1"}, {data: 1}, {data: "a"}, {data: false}, {data: [1, null, {a: "b"}]}, {data: {a: {b: [1]}}, uid: "u1", complete: false}].forEach(function(validMetadata) {
+        expect(function() { validateLocationMetadata(validMetadata); }).not.toThrow();
+      });
+    });
+
+    it("validateLocationMetadata() throws errors given invalid metadata", function() {
+      [null, [], "a", {complete: 1}, {uid: 1}, {uid: ""}, {data: null}, {data: NaN}, {data: Infinity}, {data: function() {}}, {data: {"": 1}}, {data: {"a/b": 1}}, {data: {a: [undefined]}}, {random: 1}].forEach(function(invalidMetadata) {
+        expect(function() { validateLocationMetadata(invalidMetadata); }).toThrow();
+      });
+    });
+
+    it("validateFilter() does not throw errors given valid filters", function() {
+      [null, function() { return true; }, {}, {complete: true}, {uid: "a"}, {uid: ["a", "b"], complete: false}].forEach(function(validFilter) {
+        expect(function() { validateFilter(validFilter); }).not.toThrow();
+      });
+    });
+
+    it("validateFilter() throws errors given invalid filters", function() {
+      [undefined, 1, "a", true, [], {uid: []}, {uid: [1]}, {uid: null}, {complete: "no"}, {random: 1}].forEach(function(invalidFilter) {
+        expect(function() { validateFilter(invalidFilter); }).toThrow();
+      });
+    });
+
     it("validateLocation() does not throw errors given valid locations", function() {
       validLocations.forEach(function(validLocation, i) {
         expect(function() { validateLocation(validLocation); }).not.toThrow();
@@ -36,6 +92,54 @@ describe("jeoFireUtils Tests:", function() {
       });
     });
 
+    it("validateBounds() does not throw errors given valid bounds", function() {
+      validBounds.forEach(function(validBound) {
+        expect(function() { validateBounds(validBound); }).not.toThrow();
+      });
+    });
+
+    it("validateBounds() throws errors given invalid bounds", function() {
+      invalidBounds.forEach(function(invalidBound) {
+        expect(function() { validateBounds(invalidBound); }).toThrow();
+      });
+    });
+
+    it("validatePolygon() does not throw errors given valid polygons", function() {
+      validPolygons.forEach(function(validPolygon) {
+        expect(function() { validatePolygon(validPolygon); }).not.toThrow();
+      });
+    });
+
+    it("validatePolygon() throws errors given invalid polygons", function() {
+      invalidPolygons.forEach(function(invalidPolygon) {
+        expect(function() { validatePolygon(invalidPolygon); }).toThrow();
+      });
+    });
+
+    it("validateCorridor() does not throw errors given valid corridors", function() {
+      validCorridors.forEach(function(validCorridor) {
+        expect(function() { validateCorridor(validCorridor); }).not.toThrow();
+      });
+    });
+
+    it("validateCorridor() throws errors given invalid corridors", function() {
+      invalidCorridors.forEach(function(invalidCorridor) {
+        expect(function() { validateCorridor(invalidCorridor); }).toThrow();
+      });
+    });
+
+    it("validateCircles() does not throw errors given valid circles", function() {
+      validCircles.forEach(function(validCircle) {
+        expect(function() { validateCircles(validCircle); }).not.toThrow();
+      });
+    });
+
+    it("validateCircles() throws errors given invalid circles", function() {
+      invalidCircles.forEach(function(invalidCircle) {
+        expect(function() { validateCircles(invalidCircle); }).toThrow();
+      });
+    });
+
     it("validateCriteria(criteria, true) does not throw errors given valid query criteria", function() {
       validQueryCriterias.forEach(function(validQueryCriteria) {
         if (typeof validQueryCriteria.center !== "undefined" && typeof validQueryCriteria.radius !== "undefined") {
@@ -56,6 +160,9 @@ describe("jeoFireUtils Tests:", function() {
       });
       expect(function() { validateCriteria({center: [0, 0]}, true); }).toThrow();
       expect(function() { validateCriteria({radius: 1000}, true); }).toThrow();
+      expect(function() { validateCriteria({bounds: [[0, 0], [1, 1]]}, true); }).not.toThrow();
+      expect(function() { validateCriteria({polygon: [[0, 0], [0, 1], [1, 1]]}, true); }).not.toThrow();
+      expect(function() { validateCriteria({filter: {complete: false}}, true); }).toThrow();
     });
 
     it("validateCriteria(criteria) throws errors given invalid query criteria", function() {
@@ -172,6 +279,132 @@ describe("jeoFireUtils Tests:", function() {
         expect(function() { encodeJeohash([0, 0], invalidPrecision); }).toThrow();
       });
     });
+
+    it("decodeJeoFireObject() decodes JeoFire objects to location records", function() {
+      expect(decodeJeoFireObject({"g": "s0", "l": [1, 2]})).toEqual({location: [1, 2], jeohash: "s0", uid: null, complete: false, data: null, timestamp: null});
+      expect(decodeJeoFireObject({"g": "s0", "l": [1, 2], "t": 1000, "c": true, "u": "u1", "d": [1]})).toEqual({location: [1, 2], jeohash: "s0", uid: "u1", complete: true, data: [1], timestamp: 1000});
+    });
+
+    it("decodeJeoFireObject() decodes the metadata of legacy JeoFire objects leniently", function() {
+      expect(decodeJeoFireObject({"g": "s0", "l": [1, 2], "c": "yes", "u": 1, "t": "now"})).toEqual({location: [1, 2], jeohash: "s0", uid: "1", complete: false, data: null, timestamp: null});
+      expect(decodeJeoFireObject({"g": "s0", "l": [1, 2], "c": 1, "u": {"id": "u1"}})).toEqual({location: [1, 2], jeohash: "s0", uid: null, complete: false, data: null, timestamp: null});
+    });
+
+    it("decodeJeoFireObject() throws errors given invalid JeoFire objects", function() {
+      [null, [], "a", {}, {"l": [1, 2]}, {"g": "s0"}, {"g": "s0", "l": [91, 2]}, {"g": "a!", "l": [1, 2]}].forEach(function(invalidObject) {
+        expect(function() { decodeJeoFireObject(invalidObject); }).toThrow();
+      });
+    });
+
+    it("encodeJeoFireObject() only stores the metadata which is defined", function() {
+      var timestamp = {".sv": "timestamp"};
+      expect(encodeJeoFireObject([1, 2], "s0")).toEqual({".priority": "s0", "g": "s0", "l": [1, 2], "t": timestamp});
+      expect(encodeJeoFireObject([1, 2], "s0", false, "u1", {a: 1})).toEqual({".priority": "s0", "g": "s0", "l": [1, 2], "t": timestamp, "c": false, "u": "u1", "d": {a: 1}});
+      expect(encodeJeoFireObject([1, 2], "s0", undefined, undefined, 0)).toEqual({".priority": "s0", "g": "s0", "l": [1, 2], "t": timestamp, "d": 0});
+    });
+  });
+
+  describe("Jeohash decoding:", function() {
+    it("jeohashBounds() calculates the bounds of jeohash cells", function() {
+      expect(jeohashBounds("0")).toEqual([[-90, -180], [-45, -135]]);
+      expect(jeohashBounds("z")).toEqual([[45, 135], [90, 180]]);
+      expect(jeohashBounds("9q8yy")).toEqual([[37.7490234375, -122.431640625], [37.79296875, -122.3876953125]]);
+    });
+
+    it("decodeJeohash() decodes jeohashes to their cell center and error", function() {
+      expect(decodeJeohash("0")).toEqual({center: [-67.5, -157.5], error: [22.5, 22.5]});
+      expect(decodeJeohash("9q8yy")).toEqual({center: [37.77099609375, -122.40966796875], error: [0.02197265625, 0.02197265625]});
+    });
+
+    it("decodeJeohash() is the inverse of encodeJeohash()", function() {
+      for (var i = 0; i < 1000; i++) {
+        var location = [Math.random()*180-90, Math.random()*360-180];
+        var precision = 1 + Math.floor(Math.random()*12);
+        var jeohash = encodeJeohash(location, precision);
+        var decoded = decodeJeohash(jeohash);
+        expect(Math.abs(decoded.center[0] - location[0]) <= decoded.error[0]).toBe(true);
+        expect(Math.abs(decoded.center[1] - location[1]) <= decoded.error[1]).toBe(true);
+        expect(encodeJeohash(decoded.center, precision)).toBe(jeohash);
+      }
+    });
+
+    it("jeohashBounds() and decodeJeohash() throw errors given invalid jeohashes", function() {
+      invalidJeohashes.forEach(function(invalidJeohash) {
+        expect(function() { jeohashBounds(invalidJeohash); }).toThrow();
+        expect(function() { decodeJeohash(invalidJeohash); }).toThrow();
+      });
+    });
+
+    it("jeohashNeighbors() calculates the eight adjacent cells", function() {
+      expect(jeohashNeighbors("9q8yy")).toEqual({n: "9q8zn", ne: "9q8zp", e: "9q8yz", se: "9q8yx", s: "9q8yw", sw: "9q8yt", w: "9q8yv", nw: "9q8zj"});
+    });
+
+    it("jeohashNeighbors() wraps across the antimeridian", function() {
+      expect(jeohashNeighbors("xbpb").e).toBe("8000");
+      expect(jeohashNeighbors("8000").w).toBe("xbpb");
+      expect(jeohashNeighbors("8000").nw).toBe("xbpc");
+    });
+
+    it("jeohashNeighbors() returns null for directions beyond the poles", function() {
+      expect(jeohashNeighbors("z")).toEqual({n: null, ne: null, e: "b", se: "8", s: "x", sw: "w", w: "y", nw: null});
+      expect(jeohashNeighbors("0")).toEqual({n: "2", ne: "3", e: "1", se: null, s: null, sw: null, w: "p", nw: "r"});
+    });
+
+    it("distanceToBounds() calculates the distance to the closest point within bounds", function() {
+      expect(distanceToBounds([1, 1], [[0, 0], [2, 2]])).toBe(0);
+      expect(distanceToBounds([3, 1], [[0, 0], [2, 2]])).toBeCloseTo(JeoFire.distance([3, 1], [2, 1]), 5);
+      expect(distanceToBounds([0, 0], [[1, 1], [2, 2]])).toBeCloseTo(JeoFire.distance([0, 0], [1, 1]), 5);
+      expect(distanceToBounds([0, 179], [[-1, -179], [1, -178]])).toBeCloseTo(JeoFire.distance([0, 179], [0, -179]), 5);
+    });
+
+    it("jeohashesCoveringCircle() returns every cell touched by the circle", function() {
+      for (var i = 0; i < 50; i++) {
+        var center = [Math.random()*178-89, Math.random()*360-180];
+        var radius = Math.pow(Math.random(), 2)*500;
+        var precision = 3 + Math.floor(Math.random()*2);
+        var jeohashes = jeohashesCoveringCircle(center, radius, precision);
+        for (var j = 0; j < 500; j++) {
+          var point = [
+            Math.max(-90, Math.min(90, center[0] + (Math.random()-0.5)*radius/50)),
+            wrapLongitude(center[1] + (Math.random()-0.5)*radius/50/Math.max(0.05, Math.cos(degreesToRadians(center[0]))))
+          ];
+          if (JeoFire.distance(center, point) <= radius) {
+            expect(jeohashes.indexOf(encodeJeohash(point, precision))).not.toBe(-1);
+          }
+        }
+        jeohashes.forEach(function(jeohash) {
+          expect(distanceToBounds(center, jeohashBounds(jeohash)) <= radius).toBe(true);
+        });
+      }
+    });
+
+    it("jeohashesCoveringCircle() covers the cells around the poles and across the antimeridian", function() {
+      expect(jeohashesCoveringCircle([89.9, 0], 20, 2).length).toBe(32);
+      expect(jeohashesCoveringCircle([0, 179.99], 10, 4).sort()).toEqual(["2pbp", "8000", "rzzz", "xbpb"]);
+    });
+
+    it("jeohashesCoveringCircle() throws errors given invalid parameters", function() {
+      expect(function() { jeohashesCoveringCircle([91, 0], 1, 5); }).toThrow();
+      expect(function() { jeohashesCoveringCircle([0, 0], -1, 5); }).toThrow();
+      expect(function() { jeohashesCoveringCircle([0, 0], 1, 0); }).toThrow();
+      expect(function() { jeohashesCoveringCircle([0, 0], 1, 23); }).toThrow();
+    });
+
+    it("jeohashesCoveringCircle() throws an error given a circle which covers too many cells", function() {
+      expect(function() { jeohashesCoveringCircle([37.7853074, -122.4054274], 50, 7); }).toThrow();
+      expect(jeohashesCoveringCircle([37.7853074, -122.4054274], 50, 6).length).toBeGreaterThan(0);
+    });
+
+    it("JeoFire.jeohash exposes the jeohash helpers", function() {
+      expect(JeoFire.jeohash.encode([37.7853074, -122.4054274], 5)).toBe("9q8yy");
+      expect(JeoFire.jeohash.decode("9q8yy")).toEqual(decodeJeohash("9q8yy"));
+      expect(JeoFire.jeohash.bounds("9q8yy")).toEqual(jeohashBounds("9q8yy"));
+      expect(JeoFire.jeohash.queries([37.7853074, -122.4054274], 1)).toEqual(jeohashQueries([37.7853074, -122.4054274], 1000));
+      expect(function() { JeoFire.jeohash.validate("9q8yy"); }).not.toThrow();
+      expect(function() { JeoFire.jeohash.validate("aaa"); }).toThrow();
+      expect(JeoFire.jeohash.neighbors("9q8yy")).toEqual(jeohashNeighbors("9q8yy"));
+      expect(JeoFire.jeohash.cellsCovering([37.7853074, -122.4054274], 1, 6)).toEqual(jeohashesCoveringCircle([37.7853074, -122.4054274], 1, 6));
+    });
   });
 
   describe("Coordinate calculations:", function() {
@@ -212,6 +445,201 @@ describe("jeoFireUtils Tests:", function() {
     });
   });
 
+  describe("Bounds:", function() {
+    it("boundsCenter() calculates the center of bounds", function() {
+      expect(boundsCenter([[0, 0], [2, 4]])).toEqual([1, 2]);
+      expect(boundsCenter([[-90, -180], [90, 180]])).toEqual([0, 0]);
+      expect(boundsCenter([[-10, 170], [10, -170]])).toEqual([0, 180]);
+      expect(boundsCenter([[-10, 160], [10, -180]])).toEqual([0, 170]);
+    });
+
+    it("boundsContainLocation() checks if locations are within bounds", function() {
+      expect(boundsContainLocation([[0, 0], [2, 4]], [1, 2])).toBe(true);
+      expect(boundsContainLocation([[0, 0], [2, 4]], [0, 0])).toBe(true);
+      expect(boundsContainLocation([[0, 0], [2, 4]], [2, 4])).toBe(true);
+      expect(boundsContainLocation([[0, 0], [2, 4]], [3, 2])).toBe(false);
+      expect(boundsContainLocation([[0, 0], [2, 4]], [1, -1])).toBe(false);
+      expect(boundsContainLocation([[-10, 170], [10, -170]], [0, 180])).toBe(true);
+      expect(boundsContainLocation([[-10, 170], [10, -170]], [0, -175])).toBe(true);
+      expect(boundsContainLocation([[-10, 170], [10, -170]], [0, 175])).toBe(true);
+      expect(boundsContainLocation([[-10, 170], [10, -170]], [0, 0])).toBe(false);
+      expect(boundsContainLocation([[-10, 170], [10, -170]], [11, 180])).toBe(false);
+    });
+  });
+
+  describe("Polygons:", function() {
+    it("polygonBounds() calculates the bounds of the outer ring", function() {
+      expect(polygonBounds([[0, 0], [0, 4], [2, 1]])).toEqual([[0, 0], [2, 4]]);
+      expect(polygonBounds([[[-1, -1], [-1, 4], [4, 4], [4, -1]], [[1, 1], [1, 2], [2, 2]]])).toEqual([[-1, -1], [4, 4]]);
+    });
+
+    it("polygonContainsLocation() checks if locations are within polygons", function() {
+      var triangle = [[0, 0], [0, 4], [4, 0]];
+      expect(polygonContainsLocation(triangle, [1, 1])).toBe(true);
+      expect(polygonContainsLocation(triangle, [3.5, 0.2])).toBe(true);
+      expect(polygonContainsLocation(triangle, [3, 3])).toBe(false);
+      expect(polygonContainsLocation(triangle, [-1, 1])).toBe(false);
+    });
+
+    it("polygonContainsLocation() excludes locations within holes", function() {
+      var square = [[[0, 0], [0, 4], [4, 4], [4, 0]], [[1, 1], [1, 3], [3, 3], [3, 1]]];
+      expect(polygonContainsLocation(square, [0.5, 0.5])).toBe(true);
+      expect(polygonContainsLocation(square, [3.5, 2])).toBe(true);
+      expect(polygonContainsLocation(square, [2, 2])).toBe(false);
+      expect(polygonContainsLocation(square, [5, 2])).toBe(false);
+    });
+  });
+
+  describe("Corridors:", function() {
+    it("distanceToSegment() calculates the distance to the closest point of a segment", function() {
+      expect(distanceToSegment([0, 0.5], [0, 0], [0, 1])).toBeCloseTo(0, 5);
+      expect(distanceToSegment([1, 0.5], [0, 0], [0, 1])).toBeCloseTo(111, 0);
+      expect(distanceToSegment([-1, 0.5], [0, 0], [0, 1])).toBeCloseTo(111, 0);
+      expect(distanceToSegment([0, -1], [0, 0], [0, 1])).toBeCloseTo(111, 0);
+      expect(distanceToSegment([0, 2], [0, 0], [0, 1])).toBeCloseTo(111, 0);
+      expect(distanceToSegment([1, 1], [0, 0], [0, 0])).toBeCloseTo(JeoFire.distance([1, 1], [0, 0]), 5);
+    });
+
+    it("distanceToPath() returns the distance to and index of the closest segment", function() {
+      var path = [[0, 0], [0, 1], [1, 1]];
+      expect(distanceToPath(path, [0.1, 0.5]).segment).toBe(0);
+      expect(distanceToPath(path, [0.1, 0.5]).distance).toBeCloseTo(11.1, 1);
+      expect(distanceToPath(path, [0.5, 1.2]).segment).toBe(1);
+      expect(distanceToPath(path, [0.5, 1.2]).distance).toBeCloseTo(22.2, 1);
+    });
+  });
+
+  describe("Circles:", function() {
+    var circles = [{center: [0, 0], radius: 50}, {center: [0, 0.5], radius: 100}, {center: [10, 10], radius: 20}];
+
+    it("matchLocationToCriteria() matches locations within any of the circles", function() {
+      var match = matchLocationToCriteria({circles: circles}, [0, 0.3]);
+      expect(match.isInQuery).toBe(true);
+      expect(match.details.circles).toEqual([0, 1]);
+      expect(match.distance).toBeCloseTo(22.2, 1);
+
+      match = matchLocationToCriteria({circles: circles}, [0, 1.2]);
+      expect(match.isInQuery).toBe(true);
+      expect(match.details.circles).toEqual([1]);
+      expect(match.distance).toBeCloseTo(77.8, 1);
+
+      match = matchLocationToCriteria({circles: circles}, [5, 5]);
+      expect(match.isInQuery).toBe(false);
+      expect(match.details.circles).toEqual([]);
+    });
+
+    it("criteriaCenter() returns the center of the bounds of the circles' centers", function() {
+      expect(criteriaCenter({circles: circles})).toEqual([5, 5]);
+    });
+
+    it("jeohashQueriesForCircles() returns queries which do not overlap", function() {
+      var queries = jeohashQueriesForCircles(circles);
+      queries.forEach(function(query, index) {
+        queries.slice(0, index).forEach(function(other) {
+          expect(query[0] < other[1] && other[0] < query[1]).toBe(false);
+        });
+      });
+      expect(jeohashQueriesForCircles([circles[0], circles[0]])).toEqual(jeohashQueries([0, 0], 50000));
+    });
+  });
+
+  describe("Filters:", function() {
+    it("locationPassesFilter() lets every location pass given no filter", function() {
+      expect(locationPassesFilter(undefined, "a", [0, 0], "u1", true)).toBe(true);
+      expect(locationPassesFilter(null, "a", [0, 0], undefined, undefined)).toBe(true);
+      expect(locationPassesFilter({}, "a", [0, 0], "u1", false)).toBe(true);
+    });
+
+    it("locationPassesFilter() matches the complete flag and uids of filter objects", function() {
+      expect(locationPassesFilter({complete: false}, "a", [0, 0], "u1", false)).toBe(true);
+      expect(locationPassesFilter({complete: false}, "a", [0, 0], "u1", undefined)).toBe(true);
+      expect(locationPassesFilter({complete: false}, "a", [0, 0], "u1", true)).toBe(false);
+      expect(locationPassesFilter({complete: true}, "a", [0, 0], "u1", undefined)).toBe(false);
+      expect(locationPassesFilter({uid: "u1"}, "a", [0, 0], "u1", true)).toBe(true);
+      expect(locationPassesFilter({uid: ["u2", "u3"]}, "a", [0, 0], "u1", true)).toBe(false);
+      expect(locationPassesFilter({uid: ["u2", "u3"]}, "a", [0, 0], undefined, true)).toBe(false);
+      expect(locationPassesFilter({uid: ["u1", "u2"], complete: true}, "a", [0, 0], "u1", false)).toBe(false);
+    });
+
+    it("locationPassesFilter() calls predicates with the key, location, uid and complete flag", function() {
+      var predicate = function(key, location, uid, complete) {
+        return key === "a" && location[0] === 1 && uid !== "me" && !complete;
+      };
+      expect(locationPassesFilter(predicate, "a", [1, 0], "u1", false)).toBe(true);
+      expect(locationPassesFilter(predicate, "b", [1, 0], "u1", false)).toBe(false);
+      expect(locationPassesFilter(predicate, "a", [1, 0], "me", false)).toBe(false);
+      expect(locationPassesFilter(predicate, "a", [1, 0], "u1", true)).toBe(false);
+    });
+  });
+
+  describe("Expiry:", function() {
+    it("locationHasExpired() never expires locations given no max age or no timestamp", function() {
+      expect(locationHasExpired(0, undefined)).toBe(false);
+      expect(locationHasExpired(0, null)).toBe(false);
+      expect(locationHasExpired(null, 1000)).toBe(false);
+      expect(locationHasExpired(undefined, 1000)).toBe(false);
+    });
+
+    it("locationHasExpired() compares the age of the timestamp with the max age", function() {
+      var now = new Date().getTime();
+      expect(locationHasExpired(now - 5000, 1000)).toBe(true);
+      expect(locationHasExpired(now - 5000, 60000)).toBe(false);
+      expect(locationHasExpired(now + 5000, 1000)).toBe(false);
+    });
+  });
+
+  describe("Trails:", function() {
+    var point = function(latitude, longitude, timestamp) {
+      return {location: [latitude, longitude], timestamp: timestamp};
+    };
+    var trail = [point(0, 0, 0), point(0, 0.001, 60000), point(0, 0.002, 120000), point(0.00001, 0.0021, 180000),
+                 point(0, 0.0021, 500000), point(0, 0.00211, 700000), point(0, 0.01, 800000)];
+
+    it("JeoFire.trail.simplify() drops the points within the tolerance", function() {
+      var corner = [point(0, 0, 0), point(0.001, 0.5, 1), point(0, 1, 2)];
+      expect(JeoFire.trail.simplify(corner, 10)).toEqual(corner);
+      expect(JeoFire.trail.simplify(corner, 200)).toEqual([corner[0], corner[2]]);
+      expect(JeoFire.trail.simplify(trail, 5)).toEqual([trail[0], trail[6]]);
+      expect(JeoFire.trail.simplify(trail, 0)).toEqual([trail[0], trail[2], trail[3], trail[4], trail[6]]);
+      expect(JeoFire.trail.simplify([], 5)).toEqual([]);
+    });
+
+    it("JeoFire.trail.stats() calculates the distance, duration and speeds of a trail", function() {
+      var stats = JeoFire.trail.stats(trail);
+      expect(stats.distance).toBeCloseTo(1.1131, 4);
+      expect(stats.duration).toBe(800000);
+      expect(stats.averageSpeed).toBeCloseTo(5.009, 3);
+      expect(stats.maxSpeed).toBeCloseTo(31.584, 3);
+      expect(JeoFire.trail.stats([])).toEqual({distance: 0, duration: 0, averageSpeed: 0, maxSpeed: 0});
+      expect(JeoFire.trail.stats([point(0, 0, 5), point(0, 1, 5)]).maxSpeed).toBe(0);
+    });
+
+    it("JeoFire.trail.segments() splits a trail into moving and stationary segments", function() {
+      var segments = JeoFire.trail.segments(trail);
+      expect(segments.map(function(segment) { return [segment.type, segment.start, segment.end]; })).toEqual([
+        ["moving", 0, 120000],
+        ["stationary", 120000, 700000],
+        ["moving", 700000, 800000]
+      ]);
+      expect(segments[1].points).toEqual(trail.slice(2, 6));
+      expect(JeoFire.trail.segments(trail, {minDuration: 600000}).map(function(segment) { return segment.type; })).toEqual(["moving"]);
+      expect(JeoFire.trail.segments(trail, {radius: 1000}).map(function(segment) { return segment.type; })).toEqual(["stationary", "moving"]);
+      expect(JeoFire.trail.segments([])).toEqual([]);
+    });
+
+    it("JeoFire.trail helpers throw errors given invalid trails or arguments", function() {
+      [null, "a", [1], [{location: [0, 0]}], [point(91, 0, 0)], [point(0, 0, 5), point(0, 0, 1)]].forEach(function(invalidTrail) {
+        expect(function() { JeoFire.trail.stats(invalidTrail); }).toThrow();
+        expect(function() { JeoFire.trail.simplify(invalidTrail, 5); }).toThrow();
+        expect(function() { JeoFire.trail.segments(invalidTrail); }).toThrow();
+      });
+      expect(function() { JeoFire.trail.simplify(trail); }).toThrow();
+      expect(function() { JeoFire.trail.simplify(trail, -1); }).toThrow();
+      expect(function() { JeoFire.trail.segments(trail, {radius: -1}); }).toThrow();
+      expect(function() { JeoFire.trail.segments(trail, {a: 1}); }).toThrow();
+    });
+  });
+
   describe("Bounding box bits:", function() {
     it("boundingBoxBits must return correct number of bits", function() {
       expect(boundingBoxBits([35,0], 1000)).toBe(28);
@@ -230,6 +658,24 @@ describe("jeoFireUtils Tests:", function() {
   });
 
   describe("Jeohash queries:", function() {
+    function inQuery(queries, hash) {
+      for (var i = 0; i < queries.length; i++) {
+        if (hash >= queries[i][0] && hash < queries[i][1]) {
+          return true;
+        }
+      }
+      return false;
+    }
+
+    it("jeohashQueryDifference() removes the parts of a query covered by other queries", function() {
+      expect(jeohashQueryDifference(["9q", "9r"], [])).toEqual([["9q", "9r"]]);
+      expect(jeohashQueryDifference(["9q", "9r"], [["9q", "9r"]])).toEqual([]);
+      expect(jeohashQueryDifference(["9q8", "9q9"], [["9q", "9r"]])).toEqual([]);
+      expect(jeohashQueryDifference(["9q", "9r"], [["9q8", "9q9"], ["9qb", "9qd"]])).toEqual([["9q", "9q8"], ["9q9", "9qb"], ["9qd", "9r"]]);
+      expect(jeohashQueryDifference(["9q", "9q~"], [["9p", "9q8"]])).toEqual([["9q8", "9q~"]]);
+      expect(jeohashQueryDifference(["9q", "9r"], [["9r", "9s"]])).toEqual([["9q", "9r"]]);
+    });
+
     it("Jeohash queries must be of the right size", function() {
       expect(jeohashQuery("64m9yn96mx",6)).toEqual(["60", "6h"]);
       expect(jeohashQuery("64m9yn96mx",1)).toEqual(["0", "h"]);
@@ -242,14 +688,6 @@ describe("jeoFireUtils Tests:", function() {
     });
 
     it("Queries from jeohashQueries must contain points in circle", function() {
-      function inQuery(queries, hash) {
-        for (var i = 0; i < queries.length; i++) {
-          if (hash >= queries[i][0] && hash < queries[i][1]) {
-            return true;
-          }
-        }
-        return false;
-      }
       for (var i = 0; i < 200; i++) {
         var centerLat = Math.pow(Math.random(),5)*160-80;
         var centerLong = Math.pow(Math.random(),5)*360-180;
@@ -265,5 +703,75 @@ describe("jeoFireUtils Tests:", function() {
         }
       }
     });
+
+    it("Queries from jeohashQueries must contain points in circle given a custom precision", function() {
+      [1, 3, 5].forEach(function(precision) {
+        for (var i = 0; i < 50; i++) {
+          var centerLat = Math.pow(Math.random(),5)*160-80;
+          var centerLong = Math.pow(Math.random(),5)*360-180;
+          var radius = Math.random()*Math.random()*100000;
+          var degreeRadius = metersToLongitudeDegrees(radius, centerLat);
+          var queries = jeohashQueries([centerLat, centerLong], radius, precision);
+          queries.forEach(function(query) {
+            expect(query[0].length).not.toBeGreaterThan(precision);
+          });
+          for (var j = 0; j < 200; j++) {
+            var pointLat = Math.max(-89.9, Math.min(89.9, centerLat + Math.random()*degreeRadius));
+            var pointLong = wrapLongitude(centerLong + Math.random()*degreeRadius);
+            if (JeoFire.distance([centerLat, centerLong], [pointLat, pointLong]) < radius/1000) {
+              expect(inQuery(queries, encodeJeohash([pointLat, pointLong], precision))).toBe(true);
+            }
+          }
+        }
+      });
+    });
+
+    it("Queries from jeohashQueriesForBounds must contain points in bounds", function() {
+      for (var i = 0; i < 200; i++) {
+        var south = Math.random()*170-85;
+        var north = Math.min(90, south + Math.pow(Math.random(),3)*(90-Math.abs(south)));
+        var west = Math.random()*360-180;
+        var span = Math.pow(Math.random(),3)*300;
+        var bounds = [[south, west], [north, wrapLongitude(west + span)]];
+        var queries = jeohashQueriesForBounds(bounds);
+        for (var j = 0; j < 1000; j++) {
+          var pointLat = south + Math.random()*(north - south);
+          var pointLong = wrapLongitude(west + Math.random()*span);
+          expect(inQuery(queries, encodeJeohash([pointLat, pointLong]))).toBe(true);
+        }
+      }
+    });
+
+    it("Queries from jeohashQueriesForCorridor must contain points in corridor", function() {
+      for (var i = 0; i < 100; i++) {
+        var start = [Math.random()*160-80, Math.random()*340-170];
+        var end = [start[0] + Math.random()*0.5-0.25, start[1] + Math.random()*0.5-0.25];
+        var buffer = Math.random()*20;
+        var queries = jeohashQueriesForCorridor([start, end], buffer);
+        for (var j = 0; j < 1000; j++) {
+          var point = [start[0] + (Math.random()-0.5)*1.5, start[1] + (Math.random()-0.5)*1.5];
+          if (distanceToPath([start, end], point).distance <= buffer) {
+            expect(inQuery(queries, encodeJeohash(point))).toBe(true);
+          }
+        }
+      }
+    });
+
+    it("Queries from jeohashQueriesForCircles must contain points in any circle", function() {
+      for (var i = 0; i < 100; i++) {
+        var center = [Math.random()*160-80, Math.random()*340-170];
+        var circles = [
+          {center: center, radius: Math.random()*50},
+          {center: [center[0] + Math.random()*0.5-0.25, center[1] + Math.random()*0.5-0.25], radius: Math.random()*20}
+        ];
+        var queries = jeohashQueriesForCircles(circles);
+        for (var j = 0; j < 1000; j++) {
+          var point = [center[0] + (Math.random()-0.5)*1.5, center[1] + (Math.random()-0.5)*1.5];
+          if (matchLocationToCriteria({circles: circles}, point).isInQuery) {
+            expect(inQuery(queries, encodeJeohash(point))).toBe(true);
+          }
+        }
+      }
+    });
   });
 });
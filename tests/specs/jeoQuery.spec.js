@@ -16,6 +16,40 @@ describe("JeoQuery Tests:", function() {
       expect(jeoQueries[0].radius()).toEqual(1000);
     });
 
+    it("Constructor stores query bounds", function() {
+      jeoQueries.push(jeoFire.query({bounds: [[0,0], [2,4]]}));
+
+      expect(jeoQueries[0].bounds()).toEqual([[0,0], [2,4]]);
+      expect(jeoQueries[0].center()).toEqual([1,2]);
+      expect(jeoQueries[0].radius()).toBeNull();
+    });
+
+    it("Constructor stores query polygon", function() {
+      jeoQueries.push(jeoFire.query({polygon: [[0,0], [0,4], [2,4]]}));
+
+      expect(jeoQueries[0].polygon()).toEqual([[0,0], [0,4], [2,4]]);
+      expect(jeoQueries[0].center()).toEqual([1,2]);
+      expect(jeoQueries[0].radius()).toBeNull();
+      expect(jeoQueries[0].bounds()).toBeNull();
+    });
+
+    it("Constructor stores query corridor", function() {
+      jeoQueries.push(jeoFire.query({corridor: {path: [[0,0], [0,4], [2,4]], buffer: 5}}));
+
+      expect(jeoQueries[0].corridor()).toEqual({path: [[0,0], [0,4], [2,4]], buffer: 5});
+      expect(jeoQueries[0].center()).toEqual([1,2]);
+      expect(jeoQueries[0].radius()).toBeNull();
+    });
+
+    it("Constructor stores query circles", function() {
+      jeoQueries.push(jeoFire.query({circles: [{center: [0,0], radius: 5}, {center: [2,4], radius: 10}]}));
+
+      expect(jeoQueries[0].circles()).toEqual([{center: [0,0], radius: 5}, {center: [2,4], radius: 10}]);
+      expect(jeoQueries[0].center()).toEqual([1,2]);
+      expect(jeoQueries[0].radius()).toBeNull();
+      expect(jeoQueries[0].corridor()).toBeNull();
+    });
+
     it("Constructor throws error on invalid query criteria", function() {
       expect(function() { jeoFire.query({}) }).toThrow();
       expect(function() { jeoFire.query({random: 100}) }).toThrow();
@@ -36,6 +70,13 @@ describe("JeoQuery Tests:", function() {
       expect(function() { jeoFire.query({center: [1,2], radius: null}) }).toThrow();
       expect(function() { jeoFire.query({center: [1,2], radius: undefined}) }).toThrow();
       expect(function() { jeoFire.query({center: [1,2], radius: 1000, other: "throw"}) }).toThrow();
+      expect(function() { jeoFire.query({bounds: [[0,0], [1,1]], radius: 1000}) }).toThrow();
+      expect(function() { jeoFire.query({bounds: [[1,0], [0,1]]}) }).toThrow();
+      expect(function() { jeoFire.query({polygon: [[0,0], [0,1]]}) }).toThrow();
+      expect(function() { jeoFire.query({corridor: {path: [[0,0]], buffer: 5}}) }).toThrow();
+      expect(function() { jeoFire.query({circles: []}) }).toThrow();
+      expect(function() { jeoFire.query({circles: [{center: [0,0]}]}) }).toThrow();
+      expect(function() { jeoFire.query({polygon: [[0,0], [0,1], [1,1]], bounds: [[0,0], [1,1]]}) }).toThrow();
     });
   });
 
@@ -76,6 +117,24 @@ describe("JeoQuery Tests:", function() {
       expect(jeoQueries[0].radius()).toEqual(100);
     });
 
+    it("updateCriteria() switches between bounds and a center and radius", function() {
+      jeoQueries.push(jeoFire.query({center: [1,2], radius: 1000}));
+
+      jeoQueries[0].updateCriteria({bounds: [[0,0], [2,4]]});
+
+      expect(jeoQueries[0].bounds()).toEqual([[0,0], [2,4]]);
+      expect(jeoQueries[0].center()).toEqual([1,2]);
+      expect(jeoQueries[0].radius()).toBeNull();
+
+      expect(function() { jeoQueries[0].updateCriteria({radius: 100}); }).toThrow();
+
+      jeoQueries[0].updateCriteria({center: [2,3], radius: 100});
+
+      expect(jeoQueries[0].bounds()).toBeNull();
+      expect(jeoQueries[0].center()).toEqual([2,3]);
+      expect(jeoQueries[0].radius()).toEqual(100);
+    });
+
     it("updateCriteria() fires \"key_entered\" callback for locations which now belong to the JeoQuery", function(done) {
       var cl = new Checklist(["p1", "p2", "loc1 entered", "loc4 entered"], expect, done);
 
@@ -286,6 +345,33 @@ describe("JeoQuery Tests:", function() {
       }).catch(failTestOnCaughtError);
     });
 
+    it("updateCriteria() fires \"key_entered\" and \"key_exited\" callbacks when panning bounds", function(done) {
+      var cl = new Checklist(["p1", "p2", "loc1 entered", "loc2 entered", "loc1 exited", "loc3 entered"], expect, done);
+
+      jeoQueries.push(jeoFire.query({bounds: [[0,0], [2,2]]}));
+      jeoQueries[0].on("key_entered", function(key, location, distance) {
+        cl.x(key + " entered");
+      });
+      jeoQueries[0].on("key_exited", function(key, location, distance) {
+        cl.x(key + " exited");
+      });
+
+      jeoFire.set({
+        "loc1": [0.5, 0.5],
+        "loc2": [1.5, 1.5],
+        "loc3": [2.5, 2.5],
+        "loc4": [5, 5]
+      }).then(function() {
+        cl.x("p1");
+
+        jeoQueries[0].updateCriteria({bounds: [[1,1], [3,3]]});
+
+        return wait(100);
+      }).then(function() {
+        cl.x("p2");
+      }).catch(failTestOnCaughtError);
+    });
+
     it("updateCriteria() does not throw errors given valid query criteria", function() {
       jeoQueries.push(jeoFire.query({center: [1,2], radius: 1000}));
 
@@ -303,6 +389,101 @@ describe("JeoQuery Tests:", function() {
     });
   });
 
+  describe("Debounced criteria updates:", function() {
+    it("query() throws errors given invalid options", function() {
+      [null, 1, {debounceMs: -1}, {debounceMs: "a"}, {precision: 5}, {a: 1}].forEach(function(invalidOptions) {
+        expect(function() { jeoFire.query({center: [1,2], radius: 1000}, invalidOptions); }).toThrow();
+      });
+    });
+
+    it("updateCriteria() returns a promise fulfilled once the query is ready for the new criteria", function(done) {
+      var cl = new Checklist(["p1", "p2", "loc1 entered", "loc2 entered"], expect, done);
+
+      jeoQueries.push(jeoFire.query({center: [0,0], radius: 10}));
+      jeoQueries[0].on("key_entered", function(key) {
+        cl.x(key + " entered");
+      });
+
+      jeoFire.set({
+        "loc1": [0, 0],
+        "loc2": [5, 5]
+      }).then(function() {
+        cl.x("p1");
+
+        return jeoQueries[0].updateCriteria({center: [5, 5]});
+      }).then(function() {
+        cl.x("p2");
+      }).catch(failTestOnCaughtError);
+    });
+
+    it("updateCriteria() only applies the last of several debounced updates", function(done) {
+      var cl = new Checklist(["p1", "p2", "loc1 entered", "loc1 exited", "loc3 entered", "ready"], expect, done);
+      var readyFired = 0;
+
+      jeoFire.set({
+        "loc1": [0, 0],
+        "loc2": [5, 5],
+        "loc3": [10, 10]
+      }).then(function() {
+        jeoQueries.push(jeoFire.query({center: [0,0], radius: 10}, {debounceMs: 50}));
+        jeoQueries[0].on("key_entered", function(key) {
+          cl.x(key + " entered");
+        });
+        jeoQueries[0].on("key_exited", function(key) {
+          cl.x(key + " exited");
+        });
+
+        return wait(100);
+      }).then(function() {
+        cl.x("p1");
+
+        jeoQueries[0].on("ready", function() {
+          if (readyFired++ === 1) {
+            cl.x("ready");
+          }
+        });
+
+        var firstUpdate = jeoQueries[0].updateCriteria({center: [5, 5]});
+        var lastUpdate = jeoQueries[0].updateCriteria({center: [10, 10]});
+        expect(lastUpdate).toBe(firstUpdate);
+        expect(jeoQueries[0].center()).toEqual([0, 0]);
+
+        return lastUpdate;
+      }).then(function() {
+        expect(jeoQueries[0].center()).toEqual([10, 10]);
+        cl.x("p2");
+      }).catch(failTestOnCaughtError);
+    });
+
+    it("updateCriteria() validates debounced updates against the pending criteria", function() {
+      jeoQueries.push(jeoFire.query({bounds: [[0,0], [1,1]]}, {debounceMs: 50}));
+
+      expect(function() { jeoQueries[0].updateCriteria({center: [0, 0]}); }).toThrow();
+      expect(function() { jeoQueries[0].updateCriteria({center: [0, 0], radius: 5}); }).not.toThrow();
+      expect(function() { jeoQueries[0].updateCriteria({radius: 10}); }).not.toThrow();
+      expect(jeoQueries[0].bounds()).toEqual([[0,0], [1,1]]);
+    });
+
+    it("cancel() fulfills the promises of pending and unready criteria updates as cancelled", function(done) {
+      var cl = new Checklist(["debounced cancelled", "unready cancelled"], expect, done);
+
+      jeoQueries.push(jeoFire.query({center: [1,2], radius: 1000}, {debounceMs: 1000}));
+      jeoQueries.push(jeoFire.query({center: [1,2], radius: 1000}));
+
+      jeoQueries[0].updateCriteria({radius: 500}).then(function(result) {
+        expect(result).toEqual({ cancelled: true });
+        cl.x("debounced cancelled");
+      }).catch(failTestOnCaughtError);
+      jeoQueries[1].updateCriteria({radius: 500}).then(function(result) {
+        expect(result).toEqual({ cancelled: true });
+        cl.x("unready cancelled");
+      }).catch(failTestOnCaughtError);
+
+      jeoQueries[0].cancel();
+      jeoQueries[1].cancel();
+    });
+  });
+
   describe("on():", function() {
     it("on() throws error given invalid event type", function() {
       jeoQueries.push(jeoFire.query({center: [1,2], radius: 1000}));
@@ -446,208 +627,957 @@ describe("JeoQuery Tests:", function() {
     });
   });
 
-  describe("\"key_moved\" event:", function() {
-    it("\"key_moved\" callback does not fire for brand new locations within or outside of the JeoQuery", function(done) {
-      var cl = new Checklist(["p1", "p2"], expect, done);
+  describe("Ready generations:", function() {
+    it("\"ready\" callbacks receive the generation and a copy of the criteria they belong to", function(done) {
+      var cl = new Checklist(["ready 0", "ready 1", "p1"], expect, done);
 
       jeoQueries.push(jeoFire.query({center: [1,2], radius: 1000}));
+      var onReadyCallbackRegistration = jeoQueries[0].on("ready", function(generation, criteria) {
+        expect(generation).toBe(0);
+        expect(criteria).toEqual({center: [1,2], radius: 1000});
+        cl.x("ready 0");
+
+        onReadyCallbackRegistration.cancel();
+        jeoQueries[0].on("ready", function(generation, criteria) {
+          if (generation === 1) {
+            expect(criteria).toEqual({center: [1,2], radius: 500});
+            criteria.radius = 1;
+            expect(jeoQueries[0].radius()).toBe(500);
+            cl.x("ready 1");
+          }
+        });
 
-      jeoQueries[0].on("key_moved", function(key, location, distance) {
-        cl.x(key + " moved");
+        jeoQueries[0].updateCriteria({radius: 500}).then(function(generation) {
+          expect(generation).toBe(1);
+          cl.x("p1");
+        }).catch(failTestOnCaughtError);
       });
+    });
+
+    it("\"ready\" only fires for the latest criteria given overlapping updates", function(done) {
+      var cl = new Checklist(["ready 2", "loc3 entered"], expect, done);
 
       jeoFire.set({
         "loc1": [0, 0],
-        "loc2": [50, -7],
-        "loc3": [1, 1]
+        "loc2": [20, 20],
+        "loc3": [40, 40]
       }).then(function() {
-        cl.x("p1");
+        jeoQueries.push(jeoFire.query({center: [0,0], radius: 10}));
+        jeoQueries[0].on("key_entered", function(key) {
+          if (key === "loc3") {
+            cl.x(key + " entered");
+          }
+        });
+        jeoQueries[0].on("ready", function(generation, criteria) {
+          expect(generation).toBe(2);
+          expect(criteria.center).toEqual([40, 40]);
+          expect(cl.length()).toBe(1);
+          cl.x("ready 2");
+        });
 
-        return wait(100);
-      }).then(function() {
-        cl.x("p2");
+        // Update the criteria before the ranges of the earlier criteria have loaded
+        jeoQueries[0].updateCriteria({center: [20, 20]});
+        jeoQueries[0].updateCriteria({center: [40, 40]});
       }).catch(failTestOnCaughtError);
     });
+  });
 
-    it("\"key_moved\" callback does not fire for locations outside of the JeoQuery which are moved somewhere else outside of the JeoQuery", function(done) {
-      var cl = new Checklist(["p1", "p2", "p3"], expect, done);
-
-      jeoQueries.push(jeoFire.query({center: [1,2], radius: 1000}));
+  describe("Clustering:", function() {
+    it("cluster events fire as keys enter, move within and exit the query", function(done) {
+      var cl = new Checklist(["p1", "p2", "p3", "p4", "7z added", "s0 added", "s0 updated 2", "s0 updated 1", "7z removed"], expect, done);
 
-      jeoQueries[0].on("key_moved", function(key, location, distance) {
-        cl.x(key + " moved");
+      jeoQueries.push(jeoFire.query({center: [0,0], radius: 500}, {clusterPrecision: 2}));
+      jeoQueries[0].on("cluster_added", function(jeohash, count, centroid) {
+        expect(count).toBe(1);
+        cl.x(jeohash + " added");
+      });
+      jeoQueries[0].on("cluster_updated", function(jeohash, count, centroid) {
+        if (count === 2) {
+          expect(centroid[0]).toBeCloseTo(1.55, 6);
+          expect(centroid[1]).toBeCloseTo(1.55, 6);
+        }
+        cl.x(jeohash + " updated " + count);
+      });
+      jeoQueries[0].on("cluster_removed", function(jeohash, count, centroid) {
+        expect(count).toBe(0);
+        expect(centroid).toBeNull();
+        cl.x(jeohash + " removed");
       });
 
       jeoFire.set({
-        "loc1": [1, 90],
-        "loc2": [50, -7],
-        "loc3": [16, -150]
+        "loc1": [0, 0],
+        "loc2": [0.1, 0.1],
+        "loc3": [3, 3],
+        "loc4": [40, 40]
       }).then(function() {
         cl.x("p1");
 
-        return jeoFire.set({
-          "loc1": [1, 91],
-          "loc3": [-50, -50]
-        });
+        return jeoFire.set("loc2", [3.5, 3.5]);
       }).then(function() {
         cl.x("p2");
 
-        return wait(100);
+        return jeoFire.remove("loc1");
       }).then(function() {
         cl.x("p3");
+
+        return wait(100);
+      }).then(function() {
+        var clusters = jeoQueries[0].clusters();
+        expect(clusters.length).toBe(1);
+        expect(clusters[0].jeohash).toBe("s0");
+        expect(clusters[0].count).toBe(1);
+        expect(clusters[0].centroid[0]).toBeCloseTo(3, 6);
+        cl.x("p4");
       }).catch(failTestOnCaughtError);
     });
 
-    it("\"key_moved\" callback does not fire for locations outside of the JeoQuery which are moved within the JeoQuery", function(done) {
-      var cl = new Checklist(["p1", "p2", "p3"], expect, done);
-
-      jeoQueries.push(jeoFire.query({center: [1,2], radius: 1000}));
+    it("moving the only key of a cluster within its cell only updates the cluster", function(done) {
+      var cl = new Checklist(["p1", "p2"], expect, done);
+      var events = [];
 
-      jeoQueries[0].on("key_moved", function(key, location, distance) {
-        cl.x(key + " moved");
+      jeoQueries.push(jeoFire.query({center: [0,0], radius: 500}, {clusterPrecision: 2}));
+      ["cluster_added", "cluster_updated", "cluster_removed"].forEach(function(eventType) {
+        jeoQueries[0].on(eventType, function(jeohash, count, centroid) {
+          events.push(eventType + " " + jeohash + " " + count);
+        });
       });
 
-      jeoFire.set({
-        "loc1": [1, 90],
-        "loc2": [50, -7],
-        "loc3": [16, -150]
+      jeoFire.set("loc1", [1, 1]).then(function() {
+        return wait(100);
       }).then(function() {
+        expect(events).toEqual(["cluster_added s0 1"]);
         cl.x("p1");
 
-        return jeoFire.set({
-          "loc1": [0, 0],
-          "loc3": [-1, -1]
-        });
+        events = [];
+        return jeoFire.set("loc1", [2, 1.5]);
       }).then(function() {
-        cl.x("p2");
-
         return wait(100);
       }).then(function() {
-        cl.x("p3");
+        expect(events).toEqual(["cluster_updated s0 1"]);
+        var clusters = jeoQueries[0].clusters();
+        expect(clusters.length).toBe(1);
+        expect(clusters[0].centroid[0]).toBeCloseTo(2, 6);
+        expect(clusters[0].centroid[1]).toBeCloseTo(1.5, 6);
+        cl.x("p2");
       }).catch(failTestOnCaughtError);
     });
 
-    it("\"key_moved\" callback does not fire for locations within the JeoQuery which are moved somewhere outside of the JeoQuery", function(done) {
+    it("setClusterPrecision() buckets the keys in the query again", function(done) {
       var cl = new Checklist(["p1", "p2", "p3"], expect, done);
+      var events = [];
 
-      jeoQueries.push(jeoFire.query({center: [1,2], radius: 1000}));
-
-      jeoQueries[0].on("key_moved", function(key, location, distance) {
-        cl.x(key + " moved");
+      jeoQueries.push(jeoFire.query({center: [0,0], radius: 1000}, {clusterPrecision: 3}));
+      ["cluster_added", "cluster_updated", "cluster_removed"].forEach(function(eventType) {
+        jeoQueries[0].on(eventType, function(jeohash, count) {
+          events.push(eventType + " " + jeohash + " " + count);
+        });
       });
 
       jeoFire.set({
-        "loc1": [0, 0],
-        "loc2": [50, -7],
-        "loc3": [1, 1]
+        "loc1": [1, 1],
+        "loc2": [2, 2]
+      }).then(function() {
+        return wait(100);
       }).then(function() {
+        expect(jeoQueries[0].clusters().length).toBe(2);
         cl.x("p1");
 
-        return jeoFire.set({
-          "loc1": [1, 90],
-          "loc3": [-1, -90]
-        });
-      }).then(function() {
+        events = [];
+        jeoQueries[0].setClusterPrecision(1);
+        expect(events.sort()).toEqual(["cluster_added s 1", "cluster_removed s00 0", "cluster_removed s03 0", "cluster_updated s 2"]);
         cl.x("p2");
 
-        return wait(100);
-      }).then(function() {
+        jeoQueries[0].setClusterPrecision(null);
+        expect(jeoQueries[0].clusters()).toEqual([]);
         cl.x("p3");
       }).catch(failTestOnCaughtError);
     });
 
-    it("\"key_moved\" callback does not fires for a location within the JeoQuery which is set to the same location", function(done) {
-      var cl = new Checklist(["p1", "p2", "p3", "loc3 moved"], expect, done);
+    it("setClusterPrecision() throws errors given invalid precision", function() {
+      jeoQueries.push(jeoFire.query({center: [0,0], radius: 1000}));
+      [0, 23, 1.5, "a", undefined].forEach(function(invalidPrecision) {
+        expect(function() { jeoQueries[0].setClusterPrecision(invalidPrecision); }).toThrow();
+      });
+      expect(function() { jeoFire.query({center: [0,0], radius: 1000}, {clusterPrecision: 0}); }).toThrow();
+    });
 
-      jeoQueries.push(jeoFire.query({center: [1,2], radius: 1000}));
+    it("density() returns records whose counts are updated in place", function(done) {
+      var cl = new Checklist(["p1", "p2"], expect, done);
 
-      jeoQueries[0].on("key_moved", function(key, location, distance) {
-        cl.x(key + " moved");
-      });
+      jeoQueries.push(jeoFire.query({center: [0,0], radius: 500}, {clusterPrecision: 2}));
 
+      var record;
       jeoFire.set({
-        "loc1": [0, 0],
-        "loc2": [50, -7],
-        "loc3": [1, -1]
+        "loc1": [0.5, 0.5],
+        "loc2": [0.1, 0.1],
+        "loc3": [-1, -1],
+        "loc4": [40, 40]
+      }).then(function() {
+        return wait(100);
       }).then(function() {
+        var records = jeoQueries[0].density();
+        expect(records.length).toBe(2);
+        record = records.filter(function(candidate) { return candidate.cell === "s0"; })[0];
+        expect(record).toEqual({cell: "s0", bounds: [[0, 0], [5.625, 11.25]], count: 2});
+
         cl.x("p1");
 
-        return jeoFire.set({
-          "loc1": [0, 0],
-          "loc2": [55, 55],
-          "loc3": [1, 1]
-        });
+        return jeoFire.remove("loc1");
       }).then(function() {
-        cl.x("p2");
-
         return wait(100);
       }).then(function() {
-        cl.x("p3");
+        expect(record.count).toBe(1);
+        expect(jeoQueries[0].density()).toContain(record);
+
+        cl.x("p2");
       }).catch(failTestOnCaughtError);
     });
 
-    it("\"key_moved\" callback fires for locations within the JeoQuery which are moved somewhere else within the JeoQuery", function(done) {
-      var cl = new Checklist(["p1", "p2", "p3", "loc1 moved", "loc3 moved"], expect, done);
-
-      jeoQueries.push(jeoFire.query({center: [1,2], radius: 1000}));
+    it("density() keeps the record of a cell whose only key moves within it", function(done) {
+      var cl = new Checklist(["p1", "p2"], expect, done);
 
-      jeoQueries[0].on("key_moved", function(key, location, distance) {
-        cl.x(key + " moved");
-      });
+      jeoQueries.push(jeoFire.query({center: [0,0], radius: 500}, {clusterPrecision: 2}));
 
-      jeoFire.set({
-        "loc1": [0, 0],
-        "loc2": [50, -7],
-        "loc3": [1, 1]
+      var record;
+      jeoFire.set("loc1", [1, 1]).then(function() {
+        return wait(100);
       }).then(function() {
+        record = jeoQueries[0].density()[0];
+        expect(record).toEqual({cell: "s0", bounds: [[0, 0], [5.625, 11.25]], count: 1});
+
         cl.x("p1");
 
-        return jeoFire.set({
-          "loc1": [2, 2],
-          "loc3": [-1, -1]
-        });
+        return jeoFire.set("loc1", [2, 1.5]);
       }).then(function() {
-        cl.x("p2");
-
         return wait(100);
       }).then(function() {
-        cl.x("p3");
+        expect(record.count).toBe(1);
+        expect(jeoQueries[0].density()[0]).toBe(record);
+
+        cl.x("p2");
       }).catch(failTestOnCaughtError);
     });
 
-    it("\"key_moved\" callback gets passed correct location parameter", function(done) {
-      var cl = new Checklist(["p1", "p2", "p3", "loc1 moved to 2,2", "loc3 moved to -1,-1"], expect, done);
+    it("density() throws an error if clustering is disabled", function() {
+      jeoQueries.push(jeoFire.query({center: [0,0], radius: 500}));
 
-      jeoQueries.push(jeoFire.query({center: [1,2], radius: 1000}));
+      expect(function() { jeoQueries[0].density(); }).toThrow();
+    });
+  });
 
-      jeoQueries[0].on("key_moved", function(key, location, distance) {
-        cl.x(key + " moved to " + location);
+  describe("Bounds queries:", function() {
+    it("\"key_entered\" callback fires only for locations within the bounds", function(done) {
+      var cl = new Checklist(["p1", "p2", "loc1 entered", "loc3 entered"], expect, done);
+
+      jeoQueries.push(jeoFire.query({bounds: [[0,0], [2,4]]}));
+      jeoQueries[0].on("key_entered", function(key, location, distance) {
+        cl.x(key + " entered");
       });
 
       jeoFire.set({
-        "loc1": [0, 0],
-        "loc2": [50, -7],
-        "loc3": [1, 1]
+        "loc1": [1, 1],
+        "loc2": [1, 5],
+        "loc3": [2, 4],
+        "loc4": [-0.1, 2]
       }).then(function() {
         cl.x("p1");
 
-        return jeoFire.set({
-          "loc1": [2, 2],
-          "loc3": [-1, -1]
-        });
-      }).then(function() {
-        cl.x("p2");
-
         return wait(100);
       }).then(function() {
-        cl.x("p3");
+        cl.x("p2");
       }).catch(failTestOnCaughtError);
     });
 
-    it("\"key_moved\" callback gets passed correct distance parameter", function(done) {
-      var cl = new Checklist(["p1", "p2", "p3", "loc1 moved (111.19 km from center)", "loc3 moved (400.90 km from center)"], expect, done);
-
-      jeoQueries.push(jeoFire.query({center: [1,2], radius: 1000}));
+    it("\"key_entered\" callback fires for bounds crossing the antimeridian", function(done) {
+      var cl = new Checklist(["p1", "p2", "loc1 entered", "loc2 entered"], expect, done);
+
+      jeoQueries.push(jeoFire.query({bounds: [[-5,175], [5,-175]]}));
+      jeoQueries[0].on("key_entered", function(key, location, distance) {
+        cl.x(key + " entered");
+      });
+
+      jeoFire.set({
+        "loc1": [0, 179],
+        "loc2": [0, -179],
+        "loc3": [0, 0]
+      }).then(function() {
+        cl.x("p1");
+
+        return wait(100);
+      }).then(function() {
+        cl.x("p2");
+      }).catch(failTestOnCaughtError);
+    });
+
+    it("\"key_exited\" callback fires when a location moves outside of the bounds", function(done) {
+      var cl = new Checklist(["p1", "p2", "p3", "loc1 exited"], expect, done);
+
+      jeoQueries.push(jeoFire.query({bounds: [[0,0], [2,4]]}));
+      jeoQueries[0].on("key_exited", function(key, location, distance) {
+        cl.x(key + " exited");
+      });
+
+      jeoFire.set({
+        "loc1": [1, 1],
+        "loc2": [1, 2]
+      }).then(function() {
+        cl.x("p1");
+
+        return jeoFire.set("loc1", [1, 4.5]);
+      }).then(function() {
+        cl.x("p2");
+
+        return wait(100);
+      }).then(function() {
+        cl.x("p3");
+      }).catch(failTestOnCaughtError);
+    });
+  });
+
+  describe("Polygon queries:", function() {
+    it("\"key_entered\" callback fires only for locations within the polygon", function(done) {
+      var cl = new Checklist(["p1", "p2", "loc1 entered", "loc3 entered"], expect, done);
+
+      jeoQueries.push(jeoFire.query({polygon: [[0,0], [0,4], [4,0]]}));
+      jeoQueries[0].on("key_entered", function(key, location, distance) {
+        cl.x(key + " entered");
+      });
+
+      jeoFire.set({
+        "loc1": [1, 1],
+        "loc2": [3, 3],
+        "loc3": [0.5, 3],
+        "loc4": [5, 5]
+      }).then(function() {
+        cl.x("p1");
+
+        return wait(100);
+      }).then(function() {
+        cl.x("p2");
+      }).catch(failTestOnCaughtError);
+    });
+
+    it("\"key_entered\" callback does not fire for locations within a hole of the polygon", function(done) {
+      var cl = new Checklist(["p1", "p2", "loc1 entered"], expect, done);
+
+      jeoQueries.push(jeoFire.query({polygon: [[[0,0], [0,4], [4,4], [4,0]], [[1,1], [1,3], [3,3], [3,1]]]}));
+      jeoQueries[0].on("key_entered", function(key, location, distance) {
+        cl.x(key + " entered");
+      });
+
+      jeoFire.set({
+        "loc1": [0.5, 0.5],
+        "loc2": [2, 2]
+      }).then(function() {
+        cl.x("p1");
+
+        return wait(100);
+      }).then(function() {
+        cl.x("p2");
+      }).catch(failTestOnCaughtError);
+    });
+
+    it("\"key_exited\" and \"key_entered\" callbacks fire when a location moves into a hole and back out", function(done) {
+      var cl = new Checklist(["p1", "p2", "p3", "p4", "loc1 entered", "loc1 exited", "loc1 entered again"], expect, done);
+
+      var entered = false;
+      jeoQueries.push(jeoFire.query({polygon: [[[0,0], [0,4], [4,4], [4,0]], [[1,1], [1,3], [3,3], [3,1]]]}));
+      jeoQueries[0].on("key_entered", function(key, location, distance) {
+        cl.x(key + " entered" + (entered ? " again" : ""));
+        entered = true;
+      });
+      jeoQueries[0].on("key_exited", function(key, location, distance) {
+        cl.x(key + " exited");
+      });
+
+      jeoFire.set("loc1", [0.5, 0.5]).then(function() {
+        cl.x("p1");
+
+        return jeoFire.set("loc1", [2, 2]);
+      }).then(function() {
+        cl.x("p2");
+
+        return jeoFire.set("loc1", [3.5, 3.5]);
+      }).then(function() {
+        cl.x("p3");
+
+        return wait(100);
+      }).then(function() {
+        cl.x("p4");
+      }).catch(failTestOnCaughtError);
+    });
+  });
+
+  describe("Corridor queries:", function() {
+    it("\"key_entered\" callback fires only for locations within the buffer of the path", function(done) {
+      var cl = new Checklist(["p1", "p2", "loc1 entered", "loc2 entered"], expect, done);
+
+      jeoQueries.push(jeoFire.query({corridor: {path: [[0,0], [0,1], [1,1]], buffer: 20}}));
+      jeoQueries[0].on("key_entered", function(key, location, uid, complete, distance) {
+        cl.x(key + " entered");
+      });
+
+      jeoFire.set({
+        "loc1": [0.1, 0.5],
+        "loc2": [0.5, 1.1],
+        "loc3": [0.5, 0.5],
+        "loc4": [0, 2]
+      }).then(function() {
+        cl.x("p1");
+
+        return wait(100);
+      }).then(function() {
+        cl.x("p2");
+      }).catch(failTestOnCaughtError);
+    });
+
+    it("callbacks get passed the distance to and index of the closest segment", function(done) {
+      var cl = new Checklist(["p1", "p2", "loc1 entered near segment 0", "loc2 entered near segment 1", "loc1 moved near segment 1"], expect, done);
+
+      jeoQueries.push(jeoFire.query({corridor: {path: [[0,0], [0,1], [1,1]], buffer: 20}}));
+      jeoQueries[0].on("key_entered", function(key, location, uid, complete, distance, details) {
+        expect(distance).toBeCloseTo(11.1, 1);
+        cl.x(key + " entered near segment " + details.segment);
+      });
+      jeoQueries[0].on("key_moved", function(key, location, uid, complete, distance, details) {
+        expect(distance).toBeCloseTo(5.6, 1);
+        cl.x(key + " moved near segment " + details.segment);
+      });
+
+      jeoFire.set({
+        "loc1": [0.1, 0.5],
+        "loc2": [0.5, 1.1]
+      }).then(function() {
+        cl.x("p1");
+
+        return jeoFire.set("loc1", [0.5, 0.95]);
+      }).then(function() {
+        return wait(100);
+      }).then(function() {
+        cl.x("p2");
+      }).catch(failTestOnCaughtError);
+    });
+  });
+
+  describe("Circles queries:", function() {
+    it("\"key_entered\" callback fires only for locations within any of the circles", function(done) {
+      var cl = new Checklist(["p1", "p2", "loc1 entered", "loc2 entered"], expect, done);
+
+      jeoQueries.push(jeoFire.query({circles: [{center: [0,0], radius: 50}, {center: [10,10], radius: 20}]}));
+      jeoQueries[0].on("key_entered", function(key, location, uid, complete, distance) {
+        cl.x(key + " entered");
+      });
+
+      jeoFire.set({
+        "loc1": [0, 0.3],
+        "loc2": [10, 10.1],
+        "loc3": [5, 5],
+        "loc4": [0, 1]
+      }).then(function() {
+        cl.x("p1");
+
+        return wait(100);
+      }).then(function() {
+        cl.x("p2");
+      }).catch(failTestOnCaughtError);
+    });
+
+    it("callbacks get passed the matching circles and the distance to the nearest matching center", function(done) {
+      var cl = new Checklist(["p1", "p2", "p3", "loc1 entered in 0,1", "loc1 moved in 1", "loc1 exited in none"], expect, done);
+
+      jeoQueries.push(jeoFire.query({circles: [{center: [0,0], radius: 50}, {center: [0,0.5], radius: 100}]}));
+      jeoQueries[0].on("key_entered", function(key, location, uid, complete, distance, details) {
+        expect(distance).toBeCloseTo(22.2, 1);
+        cl.x(key + " entered in " + details.circles.join(","));
+      });
+      jeoQueries[0].on("key_moved", function(key, location, uid, complete, distance, details) {
+        expect(distance).toBeCloseTo(77.8, 1);
+        cl.x(key + " moved in " + details.circles.join(","));
+      });
+      jeoQueries[0].on("key_exited", function(key, location, uid, complete, distance, details) {
+        cl.x(key + " exited in " + (details.circles.join(",") || "none"));
+      });
+
+      jeoFire.set("loc1", [0, 0.3]).then(function() {
+        cl.x("p1");
+
+        return jeoFire.set("loc1", [0, 1.2]);
+      }).then(function() {
+        cl.x("p2");
+
+        return jeoFire.set("loc1", [3, 3]);
+      }).then(function() {
+        return wait(100);
+      }).then(function() {
+        cl.x("p3");
+      }).catch(failTestOnCaughtError);
+    });
+  });
+
+  describe("Filtered queries:", function() {
+    it("\"key_entered\" callback fires only for locations passing a filter object", function(done) {
+      var cl = new Checklist(["p1", "p2", "loc1 entered", "loc3 entered"], expect, done);
+
+      jeoQueries.push(jeoFire.query({center: [1,2], radius: 1000, filter: {complete: false, uid: ["u1", "u2"]}}));
+      jeoQueries[0].on("key_entered", function(key, location, uid, complete) {
+        cl.x(key + " entered");
+      });
+
+      jeoFire.set("loc1", [2, 3], false, "u1").then(function() {
+        return jeoFire.set("loc2", [2, 3], true, "u1");
+      }).then(function() {
+        return jeoFire.set("loc3", [2, 3], false, "u2");
+      }).then(function() {
+        return jeoFire.set("loc4", [2, 3], false, "u3");
+      }).then(function() {
+        return jeoFire.set("loc5", [50, 50], false, "u1");
+      }).then(function() {
+        cl.x("p1");
+
+        return wait(100);
+      }).then(function() {
+        cl.x("p2");
+      }).catch(failTestOnCaughtError);
+    });
+
+    it("\"key_entered\" callback fires only for locations passing a filter predicate", function(done) {
+      var cl = new Checklist(["p1", "p2", "loc2 entered"], expect, done);
+
+      jeoQueries.push(jeoFire.query({center: [1,2], radius: 1000, filter: function(key, location, uid, complete) {
+        return uid !== "me";
+      }}));
+      jeoQueries[0].on("key_entered", function(key, location, uid, complete) {
+        cl.x(key + " entered");
+      });
+
+      jeoFire.set("loc1", [2, 3], false, "me").then(function() {
+        return jeoFire.set("loc2", [2, 3], false, "other");
+      }).then(function() {
+        cl.x("p1");
+
+        return wait(100);
+      }).then(function() {
+        cl.x("p2");
+      }).catch(failTestOnCaughtError);
+    });
+
+    it("metadata changes which flip the filter result fire \"key_entered\" and \"key_exited\"", function(done) {
+      var cl = new Checklist(["p1", "p2", "p3", "p4", "loc1 entered", "loc1 exited", "loc1 entered again"], expect, done);
+      var entered = 0;
+
+      jeoQueries.push(jeoFire.query({center: [1,2], radius: 1000, filter: {complete: false}}));
+      jeoQueries[0].on("key_entered", function(key, location, uid, complete) {
+        expect(complete).toBe(false);
+        cl.x(key + ((entered++ === 0) ? " entered" : " entered again"));
+      });
+      jeoQueries[0].on("key_exited", function(key, location, uid, complete) {
+        expect(location).toEqual([2, 3]);
+        expect(complete).toBe(true);
+        cl.x(key + " exited");
+      });
+      jeoQueries[0].on("key_moved", function(key) {
+        cl.x(key + " moved");
+      });
+
+      jeoFire.set("loc1", [2, 3], false, "u1").then(function() {
+        cl.x("p1");
+
+        return jeoFire.set("loc1", [2, 3], true, "u1");
+      }).then(function() {
+        cl.x("p2");
+
+        return jeoFire.set("loc1", [2, 3], false, "u1");
+      }).then(function() {
+        cl.x("p3");
+
+        return wait(100);
+      }).then(function() {
+        cl.x("p4");
+      }).catch(failTestOnCaughtError);
+    });
+
+    it("updateCriteria() with only a filter keeps the area and re-evaluates every location", function(done) {
+      var cl = new Checklist(["p1", "p2", "p3", "loc1 entered", "loc2 entered", "loc2 exited", "loc3 entered"], expect, done);
+
+      jeoQueries.push(jeoFire.query({bounds: [[0,0], [5,5]]}));
+      jeoQueries[0].on("key_entered", function(key) {
+        cl.x(key + " entered");
+      });
+      jeoQueries[0].on("key_exited", function(key) {
+        cl.x(key + " exited");
+      });
+
+      jeoFire.set("loc1", [2, 3], false, "u1").then(function() {
+        return jeoFire.set("loc2", [2, 3], false, "u2");
+      }).then(function() {
+        cl.x("p1");
+
+        return wait(100);
+      }).then(function() {
+        jeoQueries[0].updateCriteria({filter: {uid: "u1"}});
+        expect(jeoQueries[0].bounds()).toEqual([[0,0], [5,5]]);
+
+        return jeoFire.set("loc3", [3, 3], true, "u1");
+      }).then(function() {
+        cl.x("p2");
+
+        return wait(100);
+      }).then(function() {
+        cl.x("p3");
+      }).catch(failTestOnCaughtError);
+    });
+
+    it("updateCriteria() keeps the filter when the area changes and removes it given null", function(done) {
+      var cl = new Checklist(["p1", "p2", "p3", "loc1 entered", "loc2 entered"], expect, done);
+
+      jeoQueries.push(jeoFire.query({center: [1,2], radius: 1000, filter: {complete: false}}));
+      jeoQueries[0].on("key_entered", function(key) {
+        cl.x(key + " entered");
+      });
+
+      jeoFire.set("loc1", [2, 3], false, "u1").then(function() {
+        return jeoFire.set("loc2", [2, 3], true, "u1");
+      }).then(function() {
+        cl.x("p1");
+
+        jeoQueries[0].updateCriteria({radius: 500});
+        return wait(100);
+      }).then(function() {
+        cl.x("p2");
+
+        jeoQueries[0].updateCriteria({filter: null});
+        return wait(100);
+      }).then(function() {
+        cl.x("p3");
+      }).catch(failTestOnCaughtError);
+    });
+  });
+
+  describe("Legacy locations:", function() {
+    it("callbacks fire for locations with malformed metadata", function(done) {
+      var cl = new Checklist(["p1", "p2", "loc1 entered", "loc1 moved"], expect, done);
+
+      jeoQueries.push(jeoFire.query({center: [1,2], radius: 1000}));
+      jeoQueries[0].on("key_entered", function(key, location, uid, complete) {
+        expect(uid).toBe("7");
+        expect(complete).toBe(false);
+        cl.x(key + " entered");
+      });
+      jeoQueries[0].on("key_moved", function(key, location) {
+        cl.x(key + " moved");
+      });
+
+      jeoFireRef.child("loc1").setWithPriority({g: "s065kk0dc5", l: [2, 3], c: "yes", u: 7}, "s065kk0dc5").then(function() {
+        cl.x("p1");
+
+        var jeohash = encodeJeohash([2, 3.0001]);
+        return jeoFireRef.child("loc1").setWithPriority({g: jeohash, l: [2, 3.0001], c: 1, u: 7}, jeohash);
+      }).then(function() {
+        return wait(100);
+      }).then(function() {
+        cl.x("p2");
+      }).catch(failTestOnCaughtError);
+    });
+  });
+
+  describe("Expiring locations:", function() {
+    it("\"key_entered\" callback does not fire for locations older than maxAge", function(done) {
+      var cl = new Checklist(["p1", "p2", "loc2 entered"], expect, done);
+
+      jeoFireRef.child("loc1").setWithPriority({g: "s065kk0dc5", l: [2, 3], t: new Date().getTime() - 60000}, "s065kk0dc5").then(function() {
+        return jeoFire.set("loc2", [2, 3]);
+      }).then(function() {
+        jeoQueries.push(jeoFire.query({center: [1,2], radius: 1000, maxAge: 10000}));
+        jeoQueries[0].on("key_entered", function(key, location) {
+          cl.x(key + " entered");
+        });
+
+        cl.x("p1");
+
+        return wait(100);
+      }).then(function() {
+        cl.x("p2");
+      }).catch(failTestOnCaughtError);
+    });
+
+    it("maxAge longer than the longest supported timeout does not expire locations early", function(done) {
+      var cl = new Checklist(["p1", "p2", "loc1 entered"], expect, done);
+
+      spyOn(window, "setTimeout").and.callThrough();
+      jeoQueries.push(jeoFire.query({center: [1,2], radius: 1000, maxAge: 30*24*60*60*1000}));
+      jeoQueries[0].on("key_entered", function(key, location) {
+        cl.x(key + " entered");
+      });
+      jeoQueries[0].on("key_exited", function(key, location) {
+        cl.x(key + " exited");
+      });
+
+      jeoFire.set("loc1", [2, 3]).then(function() {
+        cl.x("p1");
+
+        return wait(300);
+      }).then(function() {
+        window.setTimeout.calls.allArgs().forEach(function(args) {
+          expect(args[1]).not.toBeGreaterThan(2147483647);
+        });
+        expect(window.setTimeout.calls.count()).toBeLessThan(20);
+        cl.x("p2");
+      }).catch(failTestOnCaughtError);
+    });
+
+    it("\"key_exited\" callback fires once a location goes stale without being written to", function(done) {
+      var cl = new Checklist(["p1", "p2", "loc1 entered", "loc1 exited"], expect, done);
+
+      jeoQueries.push(jeoFire.query({center: [1,2], radius: 1000, maxAge: 200}));
+      jeoQueries[0].on("key_entered", function(key, location) {
+        cl.x(key + " entered");
+      });
+      jeoQueries[0].on("key_exited", function(key, location, uid, complete, distance) {
+        expect(location).toEqual([2, 3]);
+        expect(distance).toBeCloseTo(157.22, 2);
+        cl.x(key + " exited");
+      });
+
+      jeoFire.set("loc1", [2, 3]).then(function() {
+        cl.x("p1");
+
+        return wait(500);
+      }).then(function() {
+        cl.x("p2");
+      }).catch(failTestOnCaughtError);
+    });
+
+    it("updateCriteria() can add and remove the maxAge of a JeoQuery", function(done) {
+      var cl = new Checklist(["p1", "p2", "p3", "loc1 entered", "loc1 exited", "loc1 entered again"], expect, done);
+      var entered = 0;
+
+      jeoQueries.push(jeoFire.query({center: [1,2], radius: 1000}));
+      jeoQueries[0].on("key_entered", function(key) {
+        cl.x(key + ((entered++ === 0) ? " entered" : " entered again"));
+      });
+      jeoQueries[0].on("key_exited", function(key) {
+        cl.x(key + " exited");
+      });
+
+      jeoFireRef.child("loc1").setWithPriority({g: "s065kk0dc5", l: [2, 3], t: new Date().getTime() - 60000}, "s065kk0dc5").then(function() {
+        cl.x("p1");
+
+        jeoQueries[0].updateCriteria({maxAge: 10000});
+        expect(jeoQueries[0].center()).toEqual([1, 2]);
+        return wait(100);
+      }).then(function() {
+        cl.x("p2");
+
+        jeoQueries[0].updateCriteria({maxAge: null});
+        return wait(100);
+      }).then(function() {
+        cl.x("p3");
+      }).catch(failTestOnCaughtError);
+    });
+  });
+
+  describe("\"key_moved\" event:", function() {
+    it("\"key_moved\" callback does not fire for brand new locations within or outside of the JeoQuery", function(done) {
+      var cl = new Checklist(["p1", "p2"], expect, done);
+
+      jeoQueries.push(jeoFire.query({center: [1,2], radius: 1000}));
+
+      jeoQueries[0].on("key_moved", function(key, location, distance) {
+        cl.x(key + " moved");
+      });
+
+      jeoFire.set({
+        "loc1": [0, 0],
+        "loc2": [50, -7],
+        "loc3": [1, 1]
+      }).then(function() {
+        cl.x("p1");
+
+        return wait(100);
+      }).then(function() {
+        cl.x("p2");
+      }).catch(failTestOnCaughtError);
+    });
+
+    it("\"key_moved\" callback does not fire for locations outside of the JeoQuery which are moved somewhere else outside of the JeoQuery", function(done) {
+      var cl = new Checklist(["p1", "p2", "p3"], expect, done);
+
+      jeoQueries.push(jeoFire.query({center: [1,2], radius: 1000}));
+
+      jeoQueries[0].on("key_moved", function(key, location, distance) {
+        cl.x(key + " moved");
+      });
+
+      jeoFire.set({
+        "loc1": [1, 90],
+        "loc2": [50, -7],
+        "loc3": [16, -150]
+      }).then(function() {
+        cl.x("p1");
+
+        return jeoFire.set({
+          "loc1": [1, 91],
+          "loc3": [-50, -50]
+        });
+      }).then(function() {
+        cl.x("p2");
+
+        return wait(100);
+      }).then(function() {
+        cl.x("p3");
+      }).catch(failTestOnCaughtError);
+    });
+
+    it("\"key_moved\" callback does not fire for locations outside of the JeoQuery which are moved within the JeoQuery", function(done) {
+      var cl = new Checklist(["p1", "p2", "p3"], expect, done);
+
+      jeoQueries.push(jeoFire.query({center: [1,2], radius: 1000}));
+
+      jeoQueries[0].on("key_moved", function(key, location, distance) {
+        cl.x(key + " moved");
+      });
+
+      jeoFire.set({
+        "loc1": [1, 90],
+        "loc2": [50, -7],
+        "loc3": [16, -150]
+      }).then(function() {
+        cl.x("p1");
+
+        return jeoFire.set({
+          "loc1": [0, 0],
+          "loc3": [-1, -1]
+        });
+      }).then(function() {
+        cl.x("p2");
+
+        return wait(100);
+      }).then(function() {
+        cl.x("p3");
+      }).catch(failTestOnCaughtError);
+    });
+
+    it("\"key_moved\" callback does not fire for locations within the JeoQuery which are moved somewhere outside of the JeoQuery", function(done) {
+      var cl = new Checklist(["p1", "p2", "p3"], expect, done);
+
+      jeoQueries.push(jeoFire.query({center: [1,2], radius: 1000}));
+
+      jeoQueries[0].on("key_moved", function(key, location, distance) {
+        cl.x(key + " moved");
+      });
+
+      jeoFire.set({
+        "loc1": [0, 0],
+        "loc2": [50, -7],
+        "loc3": [1, 1]
+      }).then(function() {
+        cl.x("p1");
+
+        return jeoFire.set({
+          "loc1": [1, 90],
+          "loc3": [-1, -90]
+        });
+      }).then(function() {
+        cl.x("p2");
+
+        return wait(100);
+      }).then(function() {
+        cl.x("p3");
+      }).catch(failTestOnCaughtError);
+    });
+
+    it("\"key_moved\" callback does not fires for a location within the JeoQuery which is set to the same location", function(done) {
+      var cl = new Checklist(["p1", "p2", "p3", "loc3 moved"], expect, done);
+
+      jeoQueries.push(jeoFire.query({center: [1,2], radius: 1000}));
+
+      jeoQueries[0].on("key_moved", function(key, location, distance) {
+        cl.x(key + " moved");
+      });
+
+      jeoFire.set({
+        "loc1": [0, 0],
+        "loc2": [50, -7],
+        "loc3": [1, -1]
+      }).then(function() {
+        cl.x("p1");
+
+        return jeoFire.set({
+          "loc1": [0, 0],
+          "loc2": [55, 55],
+          "loc3": [1, 1]
+        });
+      }).then(function() {
+        cl.x("p2");
+
+        return wait(100);
+      }).then(function() {
+        cl.x("p3");
+      }).catch(failTestOnCaughtError);
+    });
+
+    it("\"key_moved\" callback fires for locations within the JeoQuery which are moved somewhere else within the JeoQuery", function(done) {
+      var cl = new Checklist(["p1", "p2", "p3", "loc1 moved", "loc3 moved"], expect, done);
+
+      jeoQueries.push(jeoFire.query({center: [1,2], radius: 1000}));
+
+      jeoQueries[0].on("key_moved", function(key, location, distance) {
+        cl.x(key + " moved");
+      });
+
+      jeoFire.set({
+        "loc1": [0, 0],
+        "loc2": [50, -7],
+        "loc3": [1, 1]
+      }).then(function() {
+        cl.x("p1");
+
+        return jeoFire.set({
+          "loc1": [2, 2],
+          "loc3": [-1, -1]
+        });
+      }).then(function() {
+        cl.x("p2");
+
+        return wait(100);
+      }).then(function() {
+        cl.x("p3");
+      }).catch(failTestOnCaughtError);
+    });
+
+    it("\"key_moved\" callback gets passed correct location parameter", function(done) {
+      var cl = new Checklist(["p1", "p2", "p3", "loc1 moved to 2,2", "loc3 moved to -1,-1"], expect, done);
+
+      jeoQueries.push(jeoFire.query({center: [1,2], radius: 1000}));
+
+      jeoQueries[0].on("key_moved", function(key, location, distance) {
+        cl.x(key + " moved to " + location);
+      });
+
+      jeoFire.set({
+        "loc1": [0, 0],
+        "loc2": [50, -7],
+        "loc3": [1, 1]
+      }).then(function() {
+        cl.x("p1");
+
+        return jeoFire.set({
+          "loc1": [2, 2],
+          "loc3": [-1, -1]
+        });
+      }).then(function() {
+        cl.x("p2");
+
+        return wait(100);
+      }).then(function() {
+        cl.x("p3");
+      }).catch(failTestOnCaughtError);
+    });
+
+    it("\"key_moved\" callback gets passed correct distance parameter", function(done) {
+      var cl = new Checklist(["p1", "p2", "p3", "loc1 moved (111.19 km from center)", "loc3 moved (400.90 km from center)"], expect, done);
+
+      jeoQueries.push(jeoFire.query({center: [1,2], radius: 1000}));
 
       jeoQueries[0].on("key_moved", function(key, location, distance) {
         cl.x(key + " moved (" + distance.toFixed(2) + " km from center)");
@@ -764,6 +1694,180 @@ describe("JeoQuery Tests:", function() {
     });
   });
 
+  describe("Location data:", function() {
+    it("callbacks get passed the data stored with each location", function(done) {
+      var cl = new Checklist(["p1", "p2", "loc1 entered", "loc2 entered", "loc1 moved", "loc2 exited"], expect, done);
+
+      jeoQueries.push(jeoFire.query({center: [1,2], radius: 1000}));
+      jeoQueries[0].on("key_entered", function(key, location, uid, complete, distance, details, data) {
+        expect(data).toEqual((key === "loc1") ? {name: "Job 1"} : "payload");
+        cl.x(key + " entered");
+      });
+      jeoQueries[0].on("key_moved", function(key, location, uid, complete, distance, details, data) {
+        expect(data).toEqual({name: "Job 1"});
+        cl.x(key + " moved");
+      });
+      jeoQueries[0].on("key_exited", function(key, location, uid, complete, distance, details, data) {
+        expect(data).toBe("payload");
+        cl.x(key + " exited");
+      });
+
+      jeoFire.set({
+        "loc1": {location: [2, 3], data: {name: "Job 1"}},
+        "loc2": {location: [2, 3], data: "payload"}
+      }).then(function() {
+        cl.x("p1");
+
+        return jeoFire.set({
+          "loc1": {location: [2, 4], data: {name: "Job 1"}},
+          "loc2": {location: [50, 50], data: "payload"}
+        });
+      }).then(function() {
+        return wait(100);
+      }).then(function() {
+        cl.x("p2");
+      }).catch(failTestOnCaughtError);
+    });
+
+    it("filter predicates get passed the data stored with each location", function(done) {
+      var cl = new Checklist(["p1", "p2", "loc1 entered"], expect, done);
+
+      jeoQueries.push(jeoFire.query({center: [1,2], radius: 1000, filter: function(key, location, uid, complete, data) {
+        return data.priority > 1;
+      }}));
+      jeoQueries[0].on("key_entered", function(key) {
+        cl.x(key + " entered");
+      });
+
+      jeoFire.set({
+        "loc1": {location: [2, 3], data: {priority: 2}},
+        "loc2": {location: [2, 3], data: {priority: 1}}
+      }).then(function() {
+        cl.x("p1");
+
+        return wait(100);
+      }).then(function() {
+        cl.x("p2");
+      }).catch(failTestOnCaughtError);
+    });
+  });
+
+  describe("\"key_changed\" event:", function() {
+    it("\"key_changed\" callback fires with the old and new values when the metadata of a key in the JeoQuery changes", function(done) {
+      var cl = new Checklist(["p1", "p2", "p3", "p4", "loc1 changed to complete", "loc1 changed to u2"], expect, done);
+
+      jeoQueries.push(jeoFire.query({center: [1,2], radius: 1000}));
+      jeoQueries[0].on("key_changed", function(key, location, uid, complete, distance, details) {
+        expect(location).toEqual([2, 3]);
+        if (uid === "u1") {
+          expect(details.previous).toEqual({uid: "u1", complete: false, data: null});
+          cl.x(key + " changed to complete");
+        } else {
+          expect(details.previous).toEqual({uid: "u1", complete: true, data: null});
+          cl.x(key + " changed to " + uid);
+        }
+      });
+
+      jeoFire.set("loc1", [2, 3], false, "u1").then(function() {
+        cl.x("p1");
+
+        return jeoFire.set("loc1", [2, 3], true, "u1");
+      }).then(function() {
+        cl.x("p2");
+
+        return jeoFire.set("loc1", [2, 3], true, "u2");
+      }).then(function() {
+        cl.x("p3");
+
+        return wait(100);
+      }).then(function() {
+        cl.x("p4");
+      }).catch(failTestOnCaughtError);
+    });
+
+    it("\"key_changed\" callback fires with the old and new data when the data of a key in the JeoQuery changes", function(done) {
+      var cl = new Checklist(["p1", "p2", "p3", "loc1 changed"], expect, done);
+
+      jeoQueries.push(jeoFire.query({center: [1,2], radius: 1000}));
+      jeoQueries[0].on("key_changed", function(key, location, uid, complete, distance, details, data) {
+        expect(data).toEqual({status: "assigned", stops: [1, 2]});
+        expect(details.previous.data).toEqual({status: "open", stops: [1, 2]});
+        cl.x(key + " changed");
+      });
+
+      jeoFire.set("loc1", [2, 3], {data: {status: "open", stops: [1, 2]}}).then(function() {
+        return jeoFire.set("loc1", [2, 3], {data: {status: "open", stops: [1, 2]}});
+      }).then(function() {
+        cl.x("p1");
+
+        return jeoFire.set("loc1", [2, 3], {data: {status: "assigned", stops: [1, 2]}});
+      }).then(function() {
+        cl.x("p2");
+
+        return wait(100);
+      }).then(function() {
+        cl.x("p3");
+      }).catch(failTestOnCaughtError);
+    });
+
+    it("\"key_changed\" callback fires after \"key_moved\" when a key moves and its metadata changes", function(done) {
+      var cl = new Checklist(["p1", "p2", "loc1 moved", "loc1 changed"], expect, done);
+      var moved = false;
+
+      jeoQueries.push(jeoFire.query({center: [1,2], radius: 1000}));
+      jeoQueries[0].on("key_moved", function(key) {
+        moved = true;
+        cl.x(key + " moved");
+      });
+      jeoQueries[0].on("key_changed", function(key, location, uid, complete, distance, details) {
+        expect(moved).toBe(true);
+        expect(location).toEqual([2, 4]);
+        expect(complete).toBe(true);
+        expect(details.previous.complete).toBe(false);
+        cl.x(key + " changed");
+      });
+
+      jeoFire.set("loc1", [2, 3], false, "u1").then(function() {
+        return jeoFire.set("loc1", [2, 4], true, "u1");
+      }).then(function() {
+        cl.x("p1");
+
+        return wait(100);
+      }).then(function() {
+        cl.x("p2");
+      }).catch(failTestOnCaughtError);
+    });
+
+    it("\"key_changed\" callback does not fire for keys outside of the JeoQuery, entering or exiting it, or unchanged metadata", function(done) {
+      var cl = new Checklist(["p1", "p2"], expect, done);
+
+      jeoQueries.push(jeoFire.query({center: [1,2], radius: 1000, filter: {complete: false}}));
+      jeoQueries[0].on("key_changed", function(key) {
+        cl.x(key + " changed");
+      });
+
+      jeoFire.set("loc1", [50, 50], false, "u1").then(function() {
+        return jeoFire.set("loc1", [50, 50], true, "u2");
+      }).then(function() {
+        return jeoFire.set("loc2", [2, 3], false, "u1");
+      }).then(function() {
+        return jeoFire.set("loc2", [2, 4], false, "u1");
+      }).then(function() {
+        return jeoFire.set("loc2", [2, 4], true, "u1");
+      }).then(function() {
+        return jeoFire.set("loc3", [50, 50], false, "u1");
+      }).then(function() {
+        return jeoFire.set("loc3", [2, 3], true, "u2");
+      }).then(function() {
+        cl.x("p1");
+
+        return wait(100);
+      }).then(function() {
+        cl.x("p2");
+      }).catch(failTestOnCaughtError);
+    });
+  });
+
   describe("\"key_entered\" event:", function() {
     it("\"key_entered\" callback fires when a location enters the JeoQuery before onKeyEntered() was called", function(done) {
       var cl = new Checklist(["p1", "p2", "loc1 entered", "loc4 entered"], expect, done);
@@ -0,0 +1,201 @@
+describe("JeoTracker Tests:", function() {
+  var jeoTrackers;
+
+  // Reset the Firebase before each test
+  beforeEach(function(done) {
+    jeoTrackers = [];
+    beforeEachHelper(done);
+  });
+
+  afterEach(function(done) {
+    // Stop each tracker so that no trailing write outlives its test
+    jeoTrackers.forEach(function(jeoTracker) {
+      jeoTracker.stop();
+    });
+    afterEachHelper(done);
+  });
+
+  describe("Constructor:", function() {
+    it("track() does not throw errors given valid options", function() {
+      [undefined, {}, {minDistanceMeters: 0}, {minDistanceMeters: 10, minIntervalMs: 1000}].forEach(function(validOptions) {
+        expect(function() { jeoFire.track("loc1", validOptions); }).not.toThrow();
+      });
+    });
+
+    it("track() throws errors given invalid keys or options", function() {
+      invalidKeys.forEach(function(invalidKey) {
+        expect(function() { jeoFire.track(invalidKey); }).toThrow();
+      });
+      [null, 1, {minDistanceMeters: -1}, {minIntervalMs: "1s"}, {a: 1}].forEach(function(invalidOptions) {
+        expect(function() { jeoFire.track("loc1", invalidOptions); }).toThrow();
+      });
+    });
+  });
+
+  describe("update():", function() {
+    it("update() skips locations which moved less than minDistanceMeters", function(done) {
+      var cl = new Checklist(["p1", "p2", "p3"], expect, done);
+      var tracker = jeoFire.track("loc1", {minDistanceMeters: 10});
+      jeoTrackers.push(tracker);
+
+      tracker.update([0, 0]).then(function(written) {
+        expect(written).toBe(true);
+        cl.x("p1");
+
+        return tracker.update([0, 0.00001]);
+      }).then(function(written) {
+        expect(written).toBe(false);
+        cl.x("p2");
+
+        return tracker.update([0, 0.001], {data: {speed: 3}});
+      }).then(function(written) {
+        expect(written).toBe(true);
+        expect(tracker.stats()).toEqual({written: 2, skipped: 1});
+
+        return jeoFire.get("loc1");
+      }).then(function(record) {
+        expect(record.location).toEqual([0, 0.001]);
+        expect(record.data).toEqual({speed: 3});
+        cl.x("p3");
+      }).catch(failTestOnCaughtError);
+    });
+
+    it("update() skips locations written less than minIntervalMs after the last write", function(done) {
+      var cl = new Checklist(["p1", "p2"], expect, done);
+      var tracker = jeoFire.track("loc1", {minIntervalMs: 200});
+      jeoTrackers.push(tracker);
+
+      tracker.update([0, 0]).then(function() {
+        return tracker.update([1, 1]);
+      }).then(function(written) {
+        expect(written).toBe(false);
+        cl.x("p1");
+
+        return jeoFire.get("loc1");
+      }).then(function(record) {
+        expect(record.location).toEqual([0, 0]);
+        expect(tracker.stats()).toEqual({written: 1, skipped: 1});
+        cl.x("p2");
+      }).catch(failTestOnCaughtError);
+    });
+
+    it("update() writes the skipped location once minIntervalMs passed since the last write", function(done) {
+      var cl = new Checklist(["p1", "p2", "p3"], expect, done);
+      var tracker = jeoFire.track("loc1", {minIntervalMs: 200});
+      jeoTrackers.push(tracker);
+
+      tracker.update([0, 0]).then(function() {
+        return tracker.update([1, 1]);
+      }).then(function() {
+        return tracker.update([2, 2]);
+      }).then(function(written) {
+        expect(written).toBe(false);
+        cl.x("p1");
+
+        return wait(300);
+      }).then(function() {
+        return jeoFire.get("loc1");
+      }).then(function(record) {
+        expect(record.location).toEqual([2, 2]);
+        expect(tracker.stats()).toEqual({written: 2, skipped: 2});
+        cl.x("p2");
+
+        return tracker.flush();
+      }).then(function(written) {
+        expect(written).toBe(false);
+        cl.x("p3");
+      }).catch(failTestOnCaughtError);
+    });
+
+    it("update() always writes updates whose metadata changed", function(done) {
+      var cl = new Checklist(["p1", "p2", "p3"], expect, done);
+      var tracker = jeoFire.track("loc1", {minDistanceMeters: 10, minIntervalMs: 60000});
+      jeoTrackers.push(tracker);
+
+      tracker.update([0, 0], {complete: false}).then(function() {
+        return tracker.update([0, 0.00001], {complete: false});
+      }).then(function(written) {
+        expect(written).toBe(false);
+        cl.x("p1");
+
+        return tracker.update([0, 0.00001], {complete: true});
+      }).then(function(written) {
+        expect(written).toBe(true);
+        cl.x("p2");
+
+        return jeoFire.get("loc1");
+      }).then(function(record) {
+        expect(record.location).toEqual([0, 0.00001]);
+        expect(record.complete).toBe(true);
+        expect(tracker.stats()).toEqual({written: 2, skipped: 1});
+        cl.x("p3");
+      }).catch(failTestOnCaughtError);
+    });
+
+    it("update() throws errors given invalid locations or metadata", function() {
+      var tracker = jeoFire.track("loc1");
+      jeoTrackers.push(tracker);
+      invalidLocations.forEach(function(invalidLocation) {
+        expect(function() { tracker.update(invalidLocation); }).toThrow();
+      });
+      expect(function() { tracker.update([0, 0], {a: 1}); }).toThrow();
+    });
+  });
+
+  describe("flush():", function() {
+    it("flush() writes the last skipped location", function(done) {
+      var cl = new Checklist(["p1", "p2", "p3"], expect, done);
+      var tracker = jeoFire.track("loc1", {minDistanceMeters: 10, minIntervalMs: 60000});
+      jeoTrackers.push(tracker);
+
+      tracker.update([0, 0]).then(function() {
+        return tracker.update([0, 0.001]);
+      }).then(function() {
+        return tracker.update([0, 0.002]);
+      }).then(function() {
+        return tracker.flush();
+      }).then(function(written) {
+        expect(written).toBe(true);
+        cl.x("p1");
+
+        return jeoFire.get("loc1");
+      }).then(function(record) {
+        expect(record.location).toEqual([0, 0.002]);
+        cl.x("p2");
+
+        return tracker.flush();
+      }).then(function(written) {
+        expect(written).toBe(false);
+        expect(tracker.stats()).toEqual({written: 2, skipped: 2});
+        cl.x("p3");
+      }).catch(failTestOnCaughtError);
+    });
+  });
+
+  describe("stop():", function() {
+    it("stop() cancels the trailing write and drops the skipped location", function(done) {
+      var cl = new Checklist(["p1", "p2"], expect, done);
+      var tracker = jeoFire.track("loc1", {minIntervalMs: 100});
+      jeoTrackers.push(tracker);
+
+      tracker.update([0, 0]).then(function() {
+        return tracker.update([0, 1]);
+      }).then(function(written) {
+        expect(written).toBe(false);
+        tracker.stop();
+
+        return wait(200);
+      }).then(function() {
+        return jeoFire.get("loc1");
+      }).then(function(record) {
+        expect(record.location).toEqual([0, 0]);
+        cl.x("p1");
+
+        return tracker.flush();
+      }).then(function(written) {
+        expect(written).toBe(false);
+        cl.x("p2");
+      }).catch(failTestOnCaughtError);
+    });
+  });
+});